@@ -0,0 +1,335 @@
+// --- 一括検索（CSV） ---
+// CSVの住所（または町名・地番の列）をすべて getTravelPoint で判定し、結果を表とCSVで出力する
+// ファイルの読み込みから出力まで、すべてブラウザ内で処理する（サーバーへの送信はしない）
+
+// 列見出しとして認識する名前
+const BATCH_ADDRESS_HEADERS = ['住所', '所在地', '用務地', 'address'];
+const BATCH_TOWN_HEADERS = ['町名', '町', 'town'];
+const BATCH_LOT_HEADERS = ['地番', '番地', 'lot'];
+
+// 出力CSVの列
+const BATCH_RESULT_COLUMNS = ['行', '入力', '町名', '地番', '読み替え', '適用データ', '適用範囲', '地点', '状態', '判定コード', 'エラー内容', '判定基準日', 'データ版'];
+
+// 直近の一括検索結果
+let batchResults = [];
+
+/**
+ * CSV文字列を行・列の2次元配列にする（ダブルクォート・改行を含むセルに対応）
+ * 空行は除くが、各行の配列の lineNumber に元のファイル上の行番号（1始まり。行の書き始めの行）を持たせる
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    let lineNumber = 1;
+    let rowLineNumber = 1;
+
+    const pushRow = () => {
+        row.push(cell);
+        row.lineNumber = rowLineNumber;
+        rows.push(row);
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+
+        if (inQuotes) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (c === '"') {
+                inQuotes = false;
+            } else {
+                // セル内の改行も行番号に数える
+                if (c === '\n' || (c === '\r' && text[i + 1] !== '\n')) lineNumber++;
+                cell += c;
+            }
+        } else if (c === '"') {
+            inQuotes = true;
+        } else if (c === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            pushRow();
+            lineNumber++;
+            rowLineNumber = lineNumber;
+        } else {
+            cell += c;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        pushRow();
+    }
+
+    // 空行は除く
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * 2次元配列をCSV文字列にする（Excel向けに改行は CRLF）
+ */
+function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+        const str = String(value === undefined || value === null ? '' : value);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * ファイルの内容を文字列にする。UTF-8として読めない場合は Shift_JIS とみなす
+ */
+function decodeCsvBuffer(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+    } catch (e) {
+        return new TextDecoder('shift_jis').decode(buffer);
+    }
+}
+
+/**
+ * 見出し行から住所列、または町名列・地番列の位置を判定する
+ * 見出しがない場合は、1列目が住所（町名と地番）として読めれば1列目を住所とみなし（2列目以降はメモ等として無視する）、
+ * 読めなければ2列以上なら1列目を町名・2列目を地番、1列なら住所とみなす
+ * @returns {{hasHeader: boolean, addressIndex: number, townIndex: number, lotIndex: number}}
+ */
+function detectCsvColumns(firstRow) {
+    const normalized = firstRow.map(value => value.trim().toLowerCase());
+    const findIndex = (names) => normalized.findIndex(value => names.includes(value));
+
+    const addressIndex = findIndex(BATCH_ADDRESS_HEADERS);
+    const townIndex = findIndex(BATCH_TOWN_HEADERS);
+    const lotIndex = findIndex(BATCH_LOT_HEADERS);
+
+    if (townIndex >= 0 && lotIndex >= 0) {
+        return { hasHeader: true, addressIndex: -1, townIndex: townIndex, lotIndex: lotIndex };
+    }
+    if (addressIndex >= 0) {
+        return { hasHeader: true, addressIndex: addressIndex, townIndex: -1, lotIndex: -1 };
+    }
+    const firstCellParts = parseAddress((firstRow[0] || '').trim());
+    const isFirstCellAddress = Boolean(firstCellParts.townName && parseLotNumber(firstCellParts.houseNumber));
+    if (firstRow.length >= 2 && !isFirstCellAddress) {
+        return { hasHeader: false, addressIndex: -1, townIndex: 0, lotIndex: 1 };
+    }
+    return { hasHeader: false, addressIndex: 0, townIndex: -1, lotIndex: -1 };
+}
+
+/**
+ * CSVの各行を判定する
+ * @param {Array<string[]>} rows parseCsv の結果（row は各行の lineNumber、元のファイル上の行番号）
+ * @param {string} [asOfDate] 判定基準日（省略時は今日）
+ * @returns {Array<{row: number, input: string, townName: string, houseNumber: string, alias: string, matchedTown: string,
+ *                  rangeStr: string, point: string, status: string, resultStatus: string, error: string,
+ *                  asOfDate: string, dataVersion: string}>}
+ *          resultStatus は getTravelPoint の status（住所が空欄の行は empty_input）
+ */
+function resolveCsvRows(rows, asOfDate) {
+    if (rows.length === 0) return [];
+
+    const columns = detectCsvColumns(rows[0]);
+    const dataRows = columns.hasHeader ? rows.slice(1) : rows;
+
+    return dataRows.map(row => {
+        let input;
+        let addressParts;
+
+        if (columns.addressIndex >= 0) {
+            input = (row[columns.addressIndex] || '').trim();
+            addressParts = parseAddress(input);
+        } else {
+            const town = (row[columns.townIndex] || '').trim();
+            const lot = (row[columns.lotIndex] || '').trim();
+            input = `${town} ${lot}`.trim();
+            addressParts = normalizeAddressParts(town, lot);
+        }
+
+        const result = input
+            ? getTravelPoint(addressParts.townName, parseLotNumber(addressParts.houseNumber), asOfDate)
+            : null;
+        const isError = !result || isResultError(result);
+
+        let status = 'OK';
+        if (isError) status = 'エラー';
+        else if (result.status === 'ambiguous') status = '要選択';
+
+        return {
+            row: row.lineNumber,
+            input: input,
+            townName: addressParts.townName,
+            houseNumber: addressParts.houseNumber,
+            alias: result && result.aliases ? result.aliases.map(formatTownAlias).join('、') : '',
+            matchedTown: result ? result.matchedTown : '',
+            rangeStr: result ? result.rangeStr : '',
+            point: isError ? '' : result.point,
+            status: status,
+            resultStatus: result ? result.status : 'empty_input',
+            error: result ? getResultMessage(result) : '住所が空欄です。',
+            asOfDate: result ? result.asOfDate : toDateString(asOfDate),
+            dataVersion: result && result.dataVersion ? formatDataVersion(result.dataVersion) : ''
+        };
+    });
+}
+
+function batchResultsToRows(results) {
+    return [BATCH_RESULT_COLUMNS].concat(results.map(r => [
+        r.row, r.input, r.townName, r.houseNumber, r.alias, r.matchedTown, r.rangeStr, r.point, r.status, r.resultStatus, r.error, r.asOfDate, r.dataVersion
+    ]));
+}
+
+
+// --- Shift_JIS 変換 ---
+// TextEncoder は UTF-8 しか出力できないため、TextDecoder('shift_jis') で全2バイト文字を
+// 一度デコードして逆引き表を作り、それを使って Shift_JIS のバイト列を組み立てる
+
+let shiftJisTable = null;
+
+function buildShiftJisTable() {
+    const table = new Map();
+    const decoder = new TextDecoder('shift_jis');
+
+    // 半角カナ (0xA1〜0xDF)
+    for (let b = 0xA1; b <= 0xDF; b++) {
+        table.set(decoder.decode(new Uint8Array([b])), [b]);
+    }
+    // 2バイト文字 (第1バイト 0x81〜0x9F, 0xE0〜0xFC)
+    for (let lead = 0x81; lead <= 0xFC; lead++) {
+        if (lead > 0x9F && lead < 0xE0) continue;
+        for (let trail = 0x40; trail <= 0xFC; trail++) {
+            if (trail === 0x7F) continue;
+            const char = decoder.decode(new Uint8Array([lead, trail]));
+            if (char.length === 1 && char !== '\uFFFD' && !table.has(char)) {
+                table.set(char, [lead, trail]);
+            }
+        }
+    }
+    return table;
+}
+
+/**
+ * 文字列を Shift_JIS のバイト列にする。Shift_JIS にない文字は「?」にする
+ */
+function encodeShiftJis(text) {
+    if (!shiftJisTable) shiftJisTable = buildShiftJisTable();
+
+    const bytes = [];
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (shiftJisTable.has(char)) {
+            bytes.push(...shiftJisTable.get(char));
+        } else {
+            bytes.push(0x3F);
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+
+// --- 一括検索 UI ---
+
+/**
+ * 選択・ドロップされたCSVファイルを読み込んで判定し、結果を表示する
+ */
+function handleBatchFile(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        const rows = parseCsv(decodeCsvBuffer(reader.result));
+        batchResults = resolveCsvRows(rows, getSelectedAsOfDate());
+        displayBatchResults(file.name);
+    };
+    reader.onerror = () => alert("ファイルを読み込めませんでした。");
+    reader.readAsArrayBuffer(file);
+}
+
+function displayBatchResults(fileName) {
+    const summary = document.getElementById('batch-summary');
+    const table = document.getElementById('batch-result-table');
+    const tbody = table.querySelector('tbody');
+    tbody.innerHTML = '';
+
+    if (batchResults.length === 0) {
+        summary.textContent = `${fileName}: 判定できる行がありません。`;
+        table.classList.add('hidden');
+        document.getElementById('batch-download').classList.add('hidden');
+        return;
+    }
+
+    batchResults.forEach(r => {
+        const tr = document.createElement('tr');
+        tr.className = r.status === 'エラー' ? 'batch-row-error' : (r.status === '要選択' ? 'batch-row-ambiguous' : '');
+        [r.row, r.input, r.alias ? `${r.matchedTown}（${r.alias}）` : r.matchedTown, r.rangeStr, r.point || r.error, r.status].forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+
+    const errorCount = batchResults.filter(r => r.status === 'エラー').length;
+    const ambiguousCount = batchResults.filter(r => r.status === '要選択').length;
+    summary.textContent = `${fileName}: ${batchResults.length}件（エラー ${errorCount}件 / 要選択 ${ambiguousCount}件） 判定基準日: ${batchResults[0].asOfDate}` +
+        (batchResults[0].dataVersion ? ` / データ版: ${batchResults[0].dataVersion}` : '');
+
+    table.classList.remove('hidden');
+    document.getElementById('batch-download').classList.remove('hidden');
+}
+
+/**
+ * 2次元配列をCSVファイルとしてダウンロードさせる（行程の出力でも使用）
+ * @param {string} baseName ファイル名（文字コードと拡張子は付加する）
+ * @param {string} encoding 'utf-8'（BOM付き）または 'shift_jis'
+ */
+function downloadCsvFile(rows, baseName, encoding) {
+    const csv = toCsv(rows);
+    const content = encoding === 'shift_jis' ? encodeShiftJis(csv) : '\uFEFF' + csv;
+    const blob = new Blob([content], { type: `text/csv;charset=${encoding}` });
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${baseName}_${encoding === 'shift_jis' ? 'SJIS' : 'UTF8'}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * 判定結果をCSVでダウンロードする
+ * @param {string} encoding 'utf-8'（BOM付き）または 'shift_jis'
+ */
+function downloadBatchResults(encoding) {
+    if (batchResults.length === 0) {
+        alert("先にCSVファイルを読み込んでください。");
+        return;
+    }
+
+    downloadCsvFile(batchResultsToRows(batchResults), '旅費地点判定結果', encoding);
+}
+
+function initializeBatch() {
+    const dropZone = document.getElementById('batch-drop-zone');
+    const fileInput = document.getElementById('batch-file');
+
+    fileInput.addEventListener('change', () => handleBatchFile(fileInput.files[0]));
+
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('dragover');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('dragover');
+        handleBatchFile(e.dataTransfer.files[0]);
+    });
+}
+
+window.addEventListener('load', initializeBatch);
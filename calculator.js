@@ -0,0 +1,235 @@
+// --- 旅費計算 ---
+// 出発庁舎（市役所・支所）から、getTravelPoint で特定した地点までの旅費を計算する
+
+// 直近に表示した検索結果（displayResult から updateCalculator で受け取る）
+let calculatorTarget = null;
+
+/**
+ * 出発地として選べる庁舎（市役所・支所）と、その旅費地点の一覧を返す
+ */
+function getDepartureOffices() {
+    return FACILITY_DATA
+        .filter(facility => getFacilityType(facility.name) === 1)
+        .map(facility => ({ name: facility.name, result: resolveFacility(facility, getSelectedAsOfDate()) }))
+        .filter(office => !isResultError(office.result))
+        .map(office => ({ name: office.name, point: office.result.point }));
+}
+
+/**
+ * 距離表から地点間の片道距離（km）を引く。未登録なら null
+ */
+function lookupDistance(fromPoint, toPoint) {
+    const forward = DISTANCE_TABLE[`${fromPoint}|${toPoint}`];
+    if (forward !== undefined) return forward;
+    const backward = DISTANCE_TABLE[`${toPoint}|${fromPoint}`];
+    if (backward !== undefined) return backward;
+    return null;
+}
+
+/**
+ * 距離欄の値の出所を返す
+ * 距離表の値なら「距離表」、距離表に登録がなく出発地点と用務地点が同じで 0km なら「同一地点」、それ以外は「手入力」
+ */
+function getDistanceSource(fromPoint, toPoint, distanceKm) {
+    const tableDistance = lookupDistance(fromPoint, toPoint);
+    if (tableDistance !== null) return tableDistance === distanceKm ? '距離表' : '手入力';
+    return fromPoint === toPoint && distanceKm === 0 ? '同一地点' : '手入力';
+}
+
+/**
+ * 旅費計算ルールが旅費規程から転記済みか（転記元と単価・日当の区分が記入されているか）
+ * 未転記の間は金額を計算しない
+ */
+function isRateRulesConfirmed(rules = TRAVEL_RATE_RULES) {
+    return Boolean(rules.source) &&
+        typeof rules.carAllowancePerKm === 'number' &&
+        rules.dailyAllowanceTiers.length > 0 &&
+        typeof rules.halfDayMaxHours === 'number' &&
+        typeof rules.halfDayRate === 'number';
+}
+
+/**
+ * 片道距離・往復の別・用務時間から旅費を計算する
+ * @returns {{distanceKm: number, totalKm: number, carAllowance: number, dailyTier: object,
+ *            isHalfDay: boolean, dailyAllowance: number, total: number}}
+ */
+function calculateTravelExpense(distanceKm, isRoundTrip, hours, rules = TRAVEL_RATE_RULES) {
+    const totalKm = isRoundTrip ? distanceKm * 2 : distanceKm;
+    const carAllowance = Math.floor(totalKm * rules.carAllowancePerKm);
+
+    const dailyTier = rules.dailyAllowanceTiers
+        .slice()
+        .sort((a, b) => b.minDistanceKm - a.minDistanceKm)
+        .find(tier => distanceKm >= tier.minDistanceKm);
+
+    const isHalfDay = hours > 0 && hours <= rules.halfDayMaxHours;
+    const baseDaily = dailyTier ? dailyTier.amount : 0;
+    const dailyAllowance = Math.floor(isHalfDay ? baseDaily * rules.halfDayRate : baseDaily);
+
+    return {
+        distanceKm: distanceKm,
+        totalKm: totalKm,
+        carAllowance: carAllowance,
+        dailyTier: dailyTier,
+        isHalfDay: isHalfDay,
+        dailyAllowance: dailyAllowance,
+        total: carAllowance + dailyAllowance
+    };
+}
+
+/**
+ * 旅費計算の内訳を、旅費請求書に転記できるテキストにする
+ * expense が null（旅費計算ルールが未転記）の場合は、距離までを示し金額は記載しない
+ */
+function formatExpenseBreakdown(office, destination, point, distance, expense, selection, rules = TRAVEL_RATE_RULES) {
+    const yen = (amount) => `${amount.toLocaleString('ja-JP')}円`;
+    const selectionLines = selection && selection.point === point
+        ? [`地点選択理由: ${selection.reason}${selection.note ? `（${selection.note}）` : ''}`]
+        : [];
+    const lines = [
+        expense ? '【旅費計算内訳】' : '【旅費計算内訳（金額未計算）】',
+        `出発地: ${office.name}（地点: ${office.point}）`,
+        `用務地: ${destination}（地点: ${point}）`
+    ].concat(selectionLines, [
+        `距離: 片道 ${distance.distanceKm}km（${distance.source}） / 計 ${distance.totalKm}km`
+    ]);
+
+    if (!expense) {
+        return lines.concat(['※ 旅費計算ルール（車賃の単価・日当）が旅費規程から転記されていないため、金額は計算していません。']).join('\n');
+    }
+
+    const dailyLabel = expense.dailyTier ? expense.dailyTier.label : '該当なし';
+    const halfDayStr = expense.isHalfDay ? ` × ${rules.halfDayRate}（半日: ${rules.halfDayMaxHours}時間以内）` : '';
+    return lines.concat([
+        `車賃: ${expense.totalKm}km × ${rules.carAllowancePerKm}円 = ${yen(expense.carAllowance)}`,
+        `日当: ${dailyLabel}${halfDayStr} = ${yen(expense.dailyAllowance)}`,
+        `合計: ${yen(expense.total)}`,
+        `（旅費計算ルール: ${rules.source}）`
+    ]).join('\n');
+}
+
+
+// --- 旅費計算 UI ---
+
+/**
+ * 検索結果を旅費計算欄に反映する。地点が特定できなかった場合は計算欄を隠す
+ */
+function updateCalculator(input, resultObj) {
+    const calculatorArea = document.getElementById('calculator-area');
+    document.getElementById('expense-breakdown').textContent = '';
+
+    if (isResultError(resultObj)) {
+        calculatorTarget = null;
+        calculatorArea.classList.add('hidden');
+        return;
+    }
+
+    calculatorTarget = { input: input, result: resultObj };
+
+    // 複数地点の場合は、計算に用いる地点を選択させる
+    const pointSelect = document.getElementById('calc-point');
+    pointSelect.innerHTML = '';
+    resultObj.candidates.forEach(point => {
+        const option = document.createElement('option');
+        option.value = point;
+        option.textContent = point;
+        pointSelect.appendChild(option);
+    });
+
+    calculatorArea.classList.remove('hidden');
+    fillDistanceFromTable();
+}
+
+/**
+ * 検索結果で選択された地点を旅費計算の用務地点に反映する
+ */
+function updateCalculatorPoint(point) {
+    document.getElementById('calc-point').value = point;
+    fillDistanceFromTable();
+}
+
+/**
+ * 出発地と用務地点の組から距離表の距離を距離欄に入れる
+ */
+function fillDistanceFromTable() {
+    const officeSelect = document.getElementById('calc-office');
+    const distanceInput = document.getElementById('calc-distance');
+    const distanceNote = document.getElementById('calc-distance-note');
+    const office = getDepartureOffices().find(o => o.name === officeSelect.value);
+    const point = document.getElementById('calc-point').value;
+
+    if (!office || !point) return;
+
+    const distance = lookupDistance(office.point, point);
+    if (distance !== null) {
+        distanceInput.value = distance;
+        distanceNote.textContent = '※ 距離表の値を入力しました。';
+    } else if (office.point === point) {
+        distanceInput.value = 0;
+        distanceNote.textContent = '※ 出発地と用務地点が同じ地点のため 0km としました（距離表には未登録）。';
+    } else {
+        distanceInput.value = '';
+        distanceNote.textContent = `※ 「${office.point}」〜「${point}」は距離表に未登録です。片道距離を入力してください。`;
+    }
+}
+
+function calculateExpense() {
+    const office = getDepartureOffices().find(o => o.name === document.getElementById('calc-office').value);
+    const point = document.getElementById('calc-point').value;
+    const distanceStr = document.getElementById('calc-distance').value.trim();
+    const isRoundTrip = document.getElementById('calc-round-trip').checked;
+    const hours = parseFloat(document.getElementById('calc-hours').value) || 0;
+
+    if (!calculatorTarget || !office || !point) {
+        alert("出発地と用務地点を選択してください。");
+        return;
+    }
+
+    const distanceKm = parseFloat(toHalfWidthDigits(distanceStr));
+    if (isNaN(distanceKm) || distanceKm < 0) {
+        alert("片道距離（km）を入力してください。");
+        return;
+    }
+
+    const distance = {
+        distanceKm: distanceKm,
+        totalKm: isRoundTrip ? distanceKm * 2 : distanceKm,
+        source: getDistanceSource(office.point, point, distanceKm)
+    };
+    const expense = isRateRulesConfirmed() ? calculateTravelExpense(distanceKm, isRoundTrip, hours) : null;
+    document.getElementById('expense-breakdown').textContent =
+        formatExpenseBreakdown(office, calculatorTarget.input, point, distance, expense, calculatorTarget.result.selection);
+}
+
+function copyExpenseBreakdown() {
+    const text = document.getElementById('expense-breakdown').textContent;
+    if (!text) {
+        alert("先に旅費を計算してください。");
+        return;
+    }
+    navigator.clipboard.writeText(text)
+        .then(() => alert("内訳をコピーしました。"))
+        .catch(() => alert("コピーできませんでした。内訳を選択してコピーしてください。"));
+}
+
+function initializeCalculator() {
+    const officeSelect = document.getElementById('calc-office');
+
+    getDepartureOffices().forEach(office => {
+        const option = document.createElement('option');
+        option.value = office.name;
+        option.textContent = `${office.name}（${office.point}）`;
+        officeSelect.appendChild(option);
+    });
+
+    if (!isRateRulesConfirmed()) {
+        const rulesNote = document.getElementById('calc-rules-note');
+        rulesNote.textContent = '※ 旅費計算ルール（車賃の単価・日当）が旅費規程から転記されていないため、金額は計算せず距離のみ表示します（data.js の TRAVEL_RATE_RULES）。';
+        rulesNote.classList.remove('hidden');
+    }
+
+    officeSelect.addEventListener('change', fillDistanceFromTable);
+    document.getElementById('calc-point').addEventListener('change', fillDistanceFromTable);
+}
+
+window.addEventListener('load', initializeCalculator);
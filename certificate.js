@@ -0,0 +1,76 @@
+// --- 判定結果票 ---
+// 旅費地点をどのように判定したかを、旅費請求書に添付できる A4 の票として印刷する
+// 印刷時は style.css の印刷用スタイルにより、判定結果票以外を非表示にする（PDF化はブラウザの印刷機能を使用）
+
+/**
+ * 表示中の検索結果（currentResult）から、判定結果票の項目を作る
+ * @returns {Array<[string, string]>} 項目名と内容の組
+ */
+function buildCertificateRows(displayed, printedAt = new Date()) {
+    const result = displayed.result;
+    const isError = isResultError(result);
+    const rows = [
+        ['検索対象', displayed.input],
+        ['正規化した町名', result.normalizedTown || '―'],
+        ['住所の読み替え', result.aliases && result.aliases.length > 0 ? result.aliases.map(formatTownAlias).join('\n') : 'なし'],
+        ['正規化した地番', result.lot ? formatLotNumber(result.lot) : '解釈できませんでした'],
+        ['適用データ（町名）', result.matchedTown ? `天草市${result.matchedTown}` : '該当なし'],
+        ['町名の照合', formatMatchRule(result.trace)],
+        ['適用範囲', result.rangeStr || '該当なし'],
+        ['判定結果', formatResultPoint(result)]
+    ];
+
+    if (!isError && result.candidates.length > 1) {
+        rows.push(['候補地点', result.candidates.join('、') + '（いずれかを適用する範囲）']);
+        rows.push(['適用した地点', result.selection
+            ? `${result.selection.point}（理由: ${result.selection.reason}${result.selection.note ? ` / ${result.selection.note}` : ''}）`
+            : '未選択']);
+    }
+
+    if (result.nearBoundaries && result.nearBoundaries.length > 0) {
+        rows.push(['境界付近の確認', result.nearBoundaries.map(near =>
+            `境界 ${near.boundary} 付近（隣接範囲 ${near.adjacentRange.start} 以上 ${near.adjacentRange.end} 未満: ${near.adjacentRange.locations.join(' OR ')}）`
+        ).join('\n')]);
+    }
+
+    rows.push(['判定基準日', result.asOfDate]);
+    rows.push(['データ版', result.dataVersion ? formatDataVersion(result.dataVersion) : '該当なし']);
+    rows.push(['作成日時', printedAt.toLocaleString('ja-JP')]);
+
+    return rows;
+}
+
+/**
+ * 判定結果票を作成し、ブラウザの印刷ダイアログを開く
+ */
+function printCertificate() {
+    if (!currentResult) {
+        alert("先に旅費地点を検索してください。");
+        return;
+    }
+
+    const certificate = document.getElementById('certificate');
+    certificate.innerHTML = '';
+
+    const title = document.createElement('h1');
+    title.textContent = '判定結果票（天草市 旅費地点）';
+    certificate.appendChild(title);
+
+    const table = document.createElement('table');
+    buildCertificateRows(currentResult).forEach(([label, value]) => {
+        const row = table.insertRow();
+        const th = document.createElement('th');
+        th.textContent = label;
+        const td = row.insertCell();
+        td.textContent = value;
+        row.insertBefore(th, td);
+    });
+    certificate.appendChild(table);
+
+    const note = document.createElement('p');
+    note.className = 'certificate-note';
+    note.textContent = '※ 本票は、天草市旅費地点検索により、旅費地点の目安データ（上記のデータ版）から判定した結果を記録したものです。';
+    certificate.appendChild(note);
+
+    window.print();
+}
@@ -0,0 +1,1159 @@
+// --- 旅費地点判定のコア ---
+// 住所の解析・地番の比較・旅費地点の判定など、画面（DOM）を使わない処理をまとめる
+// ブラウザでは data.js の後に <script> で読み込み、各関数をグローバルとして使用する
+// Node では require('./core.js') で読み込む（data.js も合わせて読み込まれる）
+
+// 判定に使用するデータ。ブラウザでは先に読み込んだ data.js・postal-codes.js のものを参照する
+// ※ importer.js は取り込んだデータで配列の中身を入れ替えるため、参照は同じまま使用できる
+const CORE_DATA = (typeof module !== 'undefined' && module.exports)
+    ? Object.assign({}, require('./data.js'), require('./postal-codes.js'))
+    : {
+        TRAVEL_POINTS_DATA: TRAVEL_POINTS_DATA,
+        FACILITY_DATA: FACILITY_DATA,
+        TOWN_READINGS: TOWN_READINGS,
+        TOWN_ALIASES: TOWN_ALIASES,
+        BOUNDARY_WARNING_DISTANCE: BOUNDARY_WARNING_DISTANCE,
+        POSTAL_CODES_SOURCE: POSTAL_CODES_SOURCE,
+        POSTAL_CODES: POSTAL_CODES
+    };
+
+// --- ユーティリティ関数 ---
+
+const KANJI_DIGITS = { '〇': 0, '零': 0, '一': 1, '二': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9 };
+const KANJI_UNITS = { '十': 10, '百': 100, '千': 1000 };
+const KANJI_NUMERAL_PATTERN = /[〇零一二三四五六七八九十百千万]+/g;
+// 地番の区切り。「番地の」「番ノ」のように重ねて書かれることがあるため、連続した区切りは1つとみなす
+const LOT_SEPARATOR_PATTERN = /(?:番地|番|号|の|ノ|[-－ー−‐])+/;
+
+/**
+ * 全角数字を半角数字に変換する
+ */
+function toHalfWidthDigits(str) {
+    return str.replace(/[０-９]/g, s => String.fromCharCode(s.charCodeAt(0) - 0xFEE0));
+}
+
+/**
+ * 漢数字を数値に変換する
+ * 「三千四百五」のような単位表記と「二〇一」のような位取り表記の両方に対応
+ */
+function kanjiToNumber(kanji) {
+    // 位取り表記（十・百・千・万を含まない）
+    if (!/[十百千万]/.test(kanji)) {
+        return parseInt(kanji.split('').map(c => KANJI_DIGITS[c]).join(''), 10);
+    }
+
+    let total = 0;   // 万の位より上
+    let section = 0; // 万未満の部分
+    let digit = 0;   // 直前の一桁
+    for (const c of kanji) {
+        if (c in KANJI_DIGITS) {
+            digit = KANJI_DIGITS[c];
+        } else if (c === '万') {
+            total += (section + digit || 1) * 10000;
+            section = 0;
+            digit = 0;
+        } else {
+            // 「十」「百」「千」の前に数字がなければ 1 とみなす（例: 千三十五）
+            section += (digit || 1) * KANJI_UNITS[c];
+            digit = 0;
+        }
+    }
+    return total + section + digit;
+}
+
+/**
+ * 数値を漢数字（一〜九十九）に変換する。丁目の表記を町名データに揃えるために使用
+ */
+function numberToKanji(num) {
+    const digits = ['', '一', '二', '三', '四', '五', '六', '七', '八', '九'];
+    if (num < 10) return digits[num];
+    const tens = Math.floor(num / 10);
+    return (tens > 1 ? digits[tens] : '') + '十' + digits[num % 10];
+}
+
+/**
+ * 地番文字列を正規化する（全角数字・漢数字を半角数字に変換）
+ * 例: 「三千四百五番地」→「3405番地」、「１４７０の３」→「1470の3」
+ */
+function normalizeLotString(houseNumberStr) {
+    if (!houseNumberStr) return "";
+    const halfWidth = toHalfWidthDigits(houseNumberStr.replace(/[\s　]+/g, ''));
+    return halfWidth.replace(KANJI_NUMERAL_PATTERN, kanji => String(kanjiToNumber(kanji)));
+}
+
+/**
+ * 町名を正規化する
+ * ・「大字」を除去し、「字」以降（小字）を切り捨てる（例: 有明町大字赤崎字塩屋 → 有明町赤崎）
+ * ・丁目の数字を旅費データに合わせて漢数字に揃える（例: 五和町手野1丁目 → 五和町手野一丁目）
+ */
+function normalizeTownName(townName) {
+    if (!townName) return "";
+
+    let town = townName.replace(/[\s　]+/g, '');
+    town = town.replace(/大字/g, '');
+    town = town.replace(/字.*$/, '');
+    town = town.replace(/([0-9０-９]+)丁目/, (m, num) => numberToKanji(parseInt(toHalfWidthDigits(num), 10)) + '丁目');
+
+    return town;
+}
+
+/**
+ * 住所の先頭の合併前の市町名（data.js の TOWN_ALIASES）を、現在の表記に読み替える
+ * （例: 本渡市東浜町 → 東浜町、天草郡有明町赤崎 → 有明町赤崎）
+ * @param {string} townName normalizeTownName で正規化した町名
+ * @returns {{town: string, aliases: Array<{type: 'prefix', from: string, to: string}>}}
+ *          aliases は適用した読み替え（適用しなければ空配列）
+ */
+function applyTownAliases(townName) {
+    const aliases = [];
+    let town = townName;
+
+    const prefix = CORE_DATA.TOWN_ALIASES.prefixes
+        .slice()
+        .sort((a, b) => b.from.length - a.from.length)
+        .find(p => town.startsWith(p.from) && town.length > p.from.length);
+    if (prefix) {
+        town = prefix.to + town.slice(prefix.from.length);
+        aliases.push({ type: 'prefix', from: prefix.from, to: prefix.to });
+    }
+
+    return { town: town, aliases: aliases };
+}
+
+/**
+ * 適用した読み替え1件を表示用にする（例: 旧市町名「天草郡有明町」→「有明町」）
+ */
+function formatTownAlias(alias) {
+    return alias.to ? `旧市町名「${alias.from}」→「${alias.to}」` : `旧市町名「${alias.from}」を削除`;
+}
+
+/**
+ * 町名と地番の組を正規化する
+ * 地番側に「1丁目」などが含まれている場合は町名側へ移してから、それぞれを正規化する
+ */
+function normalizeAddressParts(townName, houseNumber) {
+    let town = townName || "";
+    let lot = houseNumber || "";
+
+    const chomeMatch = lot.match(/^([0-9０-９〇一二三四五六七八九十]+丁目)(.*)$/);
+    if (chomeMatch) {
+        town += chomeMatch[1];
+        lot = chomeMatch[2];
+    }
+
+    return {
+        townName: normalizeTownName(town),
+        houseNumber: normalizeLotString(lot)
+    };
+}
+
+// --- 地番モデル ---
+// 地番は「本番」と「枝番」の並びで表す。例: 「1150番地3」→ { main: 1150, branches: [3] }
+// 小数で表すと 1-10 (1.1) が 1-9 (1.9) より小さくなってしまうため、要素ごとに比較する
+
+/**
+ * 地番文字列を地番オブジェクトに変換する
+ * 「番地」「番」「号」「の」「ノ」「-」とその重ね書き（「番地の」など）を区切りとして扱い、地番の後ろに続く建物名等は無視する
+ * @returns {{main: number, branches: number[]} | null} 解釈できない場合は null
+ */
+function parseLotNumber(houseNumberStr) {
+    if (!houseNumberStr) return null;
+
+    // 全角数字・漢数字を半角に変換
+    const cleanStr = normalizeLotString(houseNumberStr);
+
+    const match = cleanStr.match(new RegExp(`^(\\d+)((?:${LOT_SEPARATOR_PATTERN.source}\\d+)*)`));
+    if (!match) return null;
+
+    const branches = match[2]
+        .split(LOT_SEPARATOR_PATTERN)
+        .filter(p => p.length > 0)
+        .map(p => parseInt(p, 10));
+
+    return { main: parseInt(match[1], 10), branches: branches };
+}
+
+/**
+ * data.js の範囲境界値を地番オブジェクトに変換する
+ * 数値は本番のみ（例: 1150）、文字列は地番表記（例: "1150-3"）として扱う
+ */
+function toLotNumber(value) {
+    if (typeof value === 'number') return { main: value, branches: [] };
+    // データ中の文字列は「1150-3」形式のみを受け付ける（余分な文字があれば不正として null）
+    if (!/^\d+(-\d+)*$/.test(String(value))) return null;
+    return parseLotNumber(String(value));
+}
+
+/**
+ * 地番を比較する。本番、第1枝番、第2枝番…の順に比べ、枝番のない方を小さいとみなす
+ * （例: 1 < 1-1 < 1-9 < 1-10 < 2）
+ * @returns {number} a < b なら負、a = b なら 0、a > b なら正
+ */
+function compareLotNumbers(a, b) {
+    const partsA = [a.main].concat(a.branches);
+    const partsB = [b.main].concat(b.branches);
+    const length = Math.max(partsA.length, partsB.length);
+
+    for (let i = 0; i < length; i++) {
+        if (partsA[i] === undefined) return -1;
+        if (partsB[i] === undefined) return 1;
+        if (partsA[i] !== partsB[i]) return partsA[i] - partsB[i];
+    }
+    return 0;
+}
+
+/**
+ * 地番オブジェクトを「1150-3」形式の文字列にする
+ */
+function formatLotNumber(lot) {
+    return [lot.main].concat(lot.branches).join('-');
+}
+
+/**
+ * 貼り付けられた住所文字列から、旅費判定に不要な接頭部分を取り除く
+ * 郵便番号（〒付き・なし）、都道府県名「熊本県」、市名「天草市」を除去する
+ * ※「天草町」は町名の一部なので除去しない
+ */
+function normalizeAddressString(fullAddress) {
+    if (!fullAddress) return "";
+
+    // 全角・半角スペースを除去
+    let address = fullAddress.replace(/[\s　]+/g, '');
+
+    // 郵便番号（例: 〒863-0001, 8630001, 〒８６３－０００１）を除去
+    address = address.replace(/^〒?[0-9０-９]{3}[-－ー−]?[0-9０-９]{4}/, '');
+    address = address.replace(/^〒/, '');
+
+    // 都道府県名・市名を除去
+    address = address.replace(/^熊本県/, '');
+    address = address.replace(/^天草市/, '');
+
+    return address;
+}
+
+// 住所の末尾の地番部分（算用数字・漢数字と区切りの並び）
+// 数字の並びは区切りを挟んでのみ繰り返す（数字の連続を複数通りに分けられる形にすると、照合に時間がかかるため）
+const LOT_SUFFIX_PATTERN = (() => {
+    const digits = '[0-9０-９〇零一二三四五六七八九十百千万]+';
+    const separator = LOT_SEPARATOR_PATTERN.source;
+    return new RegExp(`${digits}(?:${separator}${digits})*(?:${separator})?$`);
+})();
+
+/**
+ * 完全な住所文字列から町名と地番を抽出する
+ * 「熊本県」「天草市」や郵便番号の有無にかかわらず、町名以降を解析する
+ */
+function parseAddress(fullAddress) {
+    const address = normalizeAddressString(fullAddress);
+    if (!address) return { townName: "", houseNumber: "" };
+
+    // 丁目を含む場合は、丁目までを町名とする（例: 五和町手野一丁目３６７番地１）
+    const chomeMatch = address.match(/^(.+?[0-9０-９〇一二三四五六七八九十]+丁目)(.*)$/);
+    if (chomeMatch) {
+        return normalizeAddressParts(chomeMatch[1], chomeMatch[2]);
+    }
+
+    // 「字」以降（小字）は町名の判定に使わないため、小字名を除いてから地番を切り出す
+    // 小字名には漢数字を含むことがある（例: 本渡町本渡字十二1）ため、小字の後は算用数字から地番とする
+    const azaMatch = address.replace(/大字/g, '').match(/^(.+?)字(.*)$/);
+    if (azaMatch) {
+        const digitMatch = azaMatch[2].match(/[0-9０-９].*$/);
+        const kanjiLotMatch = azaMatch[2].match(LOT_SUFFIX_PATTERN);
+        const lot = digitMatch ? digitMatch[0] : (kanjiLotMatch && kanjiLotMatch.index > 0 ? kanjiLotMatch[0] : "");
+        return normalizeAddressParts(azaMatch[1], lot);
+    }
+
+    // 末尾の地番部分（算用数字・漢数字と「番地」「番」「号」「の」「-」などの並び）を切り出す
+    const lotMatch = address.match(LOT_SUFFIX_PATTERN);
+    if (lotMatch && lotMatch.index > 0) {
+        return normalizeAddressParts(address.slice(0, lotMatch.index), lotMatch[0]);
+    }
+
+    // 地番の後ろに建物名などが続く場合は、数字（半角/全角）が最初に出現する位置で分ける
+    const match = address.match(/^(.+?)([0-9０-９]+.*)$/);
+    
+    if (match && match[1] && match[2]) {
+        return normalizeAddressParts(match[1], match[2]);
+    } else {
+        return normalizeAddressParts(address, "");
+    }
+}
+
+
+/**
+ * 完全な住所文字列から旅費地点を判定する
+ * @returns getTravelPoint の戻り値に、住所から抽出した町名・地番（parsedAddress）を加えたもの
+ */
+function resolveAddress(fullAddress, asOfDate) {
+    const addressParts = parseAddress(fullAddress);
+    const result = getTravelPoint(addressParts.townName, parseLotNumber(addressParts.houseNumber), asOfDate);
+    return Object.assign(result, { parsedAddress: addressParts });
+}
+
+// --- データ版 ---
+
+/**
+ * 「YYYY-MM-DD」形式で、実在する日付か（2024-02-30・2024-99-99 などは false）
+ */
+function isValidDateString(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return false;
+    const d = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return d.getFullYear() === Number(match[1]) && d.getMonth() === Number(match[2]) - 1 && d.getDate() === Number(match[3]);
+}
+
+/**
+ * 日付を「YYYY-MM-DD」形式の文字列にする（ローカル時刻基準）。未指定なら今日
+ * 日付として解釈できない場合は null（版の選択で最新版に該当しないようにするため）
+ */
+function toDateString(date) {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return isValidDateString(date) ? date : null;
+    }
+    const d = date ? new Date(date) : new Date();
+    if (isNaN(d.getTime())) return null;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * 判定基準日に適用される旅費データの版を返す
+ * 基準日以前に施行された版のうち、施行日が最も新しいものを使用する
+ * @param {string|Date} [asOfDate] 判定基準日（省略時は今日）
+ * @returns {{version: string, effectiveFrom: string, entries: Array} | null} 該当する版がない（基準日が日付でない場合を含む）なら null
+ */
+function getDataVersion(asOfDate) {
+    const dateStr = toDateString(asOfDate);
+    if (!dateStr) return null;
+    return CORE_DATA.TRAVEL_POINTS_DATA
+        .filter(dataVersion => dataVersion.effectiveFrom <= dateStr)
+        .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom))[0] || null;
+}
+
+/**
+ * 判定基準日に適用される旅費データの町名一覧（entries）を返す。該当する版がなければ空配列
+ */
+function getTravelPointEntries(asOfDate) {
+    const dataVersion = getDataVersion(asOfDate);
+    return dataVersion ? dataVersion.entries : [];
+}
+
+/**
+ * 旅費データの版に定義された地区の規則（districtRules）を返す。版がなければ空配列
+ */
+function getDistrictRules(dataVersion) {
+    return dataVersion && dataVersion.districtRules ? dataVersion.districtRules : [];
+}
+
+/**
+ * 町名の照合・候補表示に使う町名の一覧を返す（旅費データの町名と、地区の規則の対象町名）
+ * 規則の対象町名は {town, districtRule} の形で加える
+ * @param {object|null} [dataVersion] 対象とする版（省略時は今日時点の版）
+ */
+function getKnownTowns(dataVersion = getDataVersion()) {
+    if (!dataVersion) return [];
+
+    const ruleTowns = [];
+    getDistrictRules(dataVersion).forEach(rule => {
+        rule.towns.forEach(town => ruleTowns.push({ town: town, districtRule: rule }));
+    });
+    return dataVersion.entries.concat(ruleTowns);
+}
+
+/**
+ * データ版を「初版（2006-03-27 施行）」の形式で表す
+ */
+function formatDataVersion(dataVersion) {
+    return `${dataVersion.version}（${dataVersion.effectiveFrom} 施行）`;
+}
+
+
+// --- 旅費地点検索ロジック (コアロジック) ---
+
+// 判定結果の状態（getTravelPoint の status）
+//   ok           地点が1つに決まった
+//   ambiguous    複数の地点のいずれかを選択する範囲（candidates に候補）
+//   unknown_town 町名が旅費データにない（details.suggestions に近い町名の候補）
+//   out_of_range 地番が町名の範囲のどれにも当てはまらない
+//   invalid_lot  地番を解釈できない
+//   no_data      判定基準日に施行されていた版のデータがない
+//   exception    判定中に例外が発生した
+// ※ unknown_facility（施設が一覧にない）は、施設を探す側（画面・API）が同じ形の結果として使用する
+// 画面・CSV・API に出すメッセージは getResultMessage で状態と details から作る
+const RESULT_MESSAGES = {
+    unknown_town: (details) => `入力された町名「${details.town}」に該当する旅費データが見つかりません。`,
+    out_of_range: (details) => `地番「${details.lot}」は${details.town}の地番範囲に該当しません。`,
+    invalid_lot: () => '地番を解釈できませんでした。',
+    no_data: (details) => details.isInvalidDate
+        ? `判定基準日「${details.asOfDate}」は日付として正しくありません。`
+        : `判定基準日（${details.asOfDate}）に施行されていた旅費データがありません。`,
+    exception: () => '検索ロジック処理中に例外が発生しました。',
+    unknown_facility: (details) => `施設「${details.facility}」が見つかりません。`
+};
+
+/**
+ * 判定結果が失敗（地点を特定できなかった）かどうか
+ */
+function isResultError(result) {
+    return result.status !== 'ok' && result.status !== 'ambiguous';
+}
+
+/**
+ * 判定に失敗した理由のメッセージを返す。成功時は空文字
+ */
+function getResultMessage(result) {
+    const format = RESULT_MESSAGES[result.status];
+    return format ? format(result.details || {}) : '';
+}
+
+/**
+ * 判定結果を表示用の1行にする（成功時は「牛深 OR 魚貫」、失敗時は「エラー: 〜」）
+ */
+function formatResultPoint(result) {
+    return isResultError(result) ? `エラー: ${getResultMessage(result)}` : result.point;
+}
+
+// 町名の照合で適用した規則（判定の根拠 trace.rule）
+const MATCH_RULE_LABELS = {
+    exact: '町名の完全一致',
+    town_suffix: '「町」を除いた町名の一致',
+    reading: '読み（かな・ローマ字）の一致',
+    district_rule: '地区の規則の適用'
+};
+
+/**
+ * 判定の根拠（trace）の町名照合の規則を表示用にする（地区の規則は規則名を添える）
+ */
+function formatMatchRule(trace) {
+    if (!trace || !trace.rule) return '該当なし';
+    return MATCH_RULE_LABELS[trace.rule] + (trace.districtRule ? `（${trace.districtRule}）` : '');
+}
+
+/**
+ * 町名と地番から旅費地点を特定する
+ * 修正点: 戻り値にマッチした町名と範囲を含めることで、結果の透明性を向上
+ * @param {string} townName 町名
+ * @param {{main: number, branches: number[]} | null} lotNumber parseLotNumber で解析した地番
+ * @param {string|Date} [asOfDate] 判定基準日（省略時は今日）。この日に施行されていた版のデータで判定する
+ * @returns {{status: string, point: string | null, candidates: string[], details: object,
+ *            matchedTown: string, rangeStr: string,
+ *            normalizedTown?: string, lot?: {main: number, branches: number[]} | null, aliases?: Array,
+ *            asOfDate: string, dataVersion: {version: string, effectiveFrom: string} | null, suggestions?: string[]}}
+ *          status は判定結果の状態（RESULT_MESSAGES の説明を参照）
+ *          point は候補の地点を「 OR 」でつないだもの。失敗時は null（理由は getResultMessage で得る）
+ *          candidates は適用できる地点の一覧（複数ある場合はいずれかを選択する）。失敗時は空配列
+ *          details は失敗理由を表すための値（町名・地番など）
+ *          normalizedTown・lot は判定に用いた正規化後の町名と地番（例外発生時は含まない）
+ *          aliases は町名に適用した旧表記の読み替え（applyTownAliases を参照。例外発生時は含まない）
+ *          dataVersion は判定に使用したデータの版
+ *          町名が見つからない場合は suggestions に近い町名の候補を含める
+ *          nearBoundaries は地番が範囲の境界付近にある場合の、境界と隣接する範囲（findNearBoundaries を参照）
+ *          trace は判定の根拠（入力の正規化結果、適用した町名照合の規則、確認した地番範囲と結果）
+ *            {input, normalizedTown, lot, rule, entryTown, districtRule, aliases, notes: string[],
+ *             ranges: [{start, end, locations, result: 'match' | 'no_match' | 'not_checked'}]}
+ *            地区の規則を適用した場合は districtRule に規則名が入り、ranges は空になる
+ */
+function getTravelPoint(townName, lotNumber, asOfDate) {
+    const dateStr = toDateString(asOfDate);
+    const dataVersion = dateStr ? getDataVersion(dateStr) : null;
+    const versionInfo = dataVersion ? { version: dataVersion.version, effectiveFrom: dataVersion.effectiveFrom } : null;
+
+    // 判定の根拠。判定を進めながら記録する
+    const trace = {
+        input: townName || '',
+        normalizedTown: null,
+        lot: lotNumber ? formatLotNumber(lotNumber) : null,
+        rule: null,
+        entryTown: null,
+        districtRule: null,
+        aliases: [],
+        notes: [],
+        ranges: []
+    };
+
+    // 失敗時の戻り値
+    const failure = (status, details, fields) => Object.assign({
+        status: status,
+        point: null,
+        candidates: [],
+        details: details,
+        matchedTown: "",
+        rangeStr: "",
+        asOfDate: dateStr,
+        dataVersion: versionInfo,
+        trace: trace
+    }, fields);
+
+    try {
+        // 合併前の市町名などの旧表記は、現在の町名に読み替えてから照合する
+        const knownTowns = getKnownTowns(dataVersion);
+        const aliasResult = applyTownAliases(normalizeTownName(townName));
+        const inputTown = aliasResult.town;
+        const inputFields = { normalizedTown: inputTown, lot: lotNumber, aliases: aliasResult.aliases };
+        trace.normalizedTown = inputTown;
+        trace.aliases = aliasResult.aliases;
+        aliasResult.aliases.forEach(alias => trace.notes.push(`住所の旧表記を読み替えました: ${formatTownAlias(alias)}`));
+
+        if (!dataVersion) {
+            return failure('no_data', dateStr ? { asOfDate: dateStr } : { asOfDate: String(asOfDate), isInvalidDate: true }, inputFields);
+        }
+
+        const entries = dataVersion.entries;
+        const cleanInputTown = inputTown.replace(/町$/, '').trim();
+        let targetEntry = null;
+
+        // 1. データ内で町名を探す (厳格な町名照合ロジック)
+        const foundEntry = entries.find(entry => {
+            // 優先度1: 完全一致
+            if (entry.town === inputTown) return true;
+            // 優先度2: クリーン名でのマッチ (例: 御領 vs 五和町御領)
+            if (entry.town.replace(/町$/, '').trim() === cleanInputTown) return true;
+            // 修正点1: 柔軟すぎる部分一致のロジック（優先度3）を削除
+            return false;
+        });
+
+        if (foundEntry) {
+            targetEntry = foundEntry;
+            trace.rule = foundEntry.town === inputTown ? 'exact' : 'town_suffix';
+        }
+
+        // 1-2. 読み（ひらがな/カタカナ/ローマ字）での完全一致 (例: うしぶか → 牛深町)
+        // 地区の規則の対象町名と一致した場合は、その町名で 2. の規則を探す
+        let ruleTownName = inputTown;
+        if (!targetEntry) {
+            const townByReading = findTownByReading(inputTown, knownTowns);
+            if (townByReading) {
+                targetEntry = entries.find(entry => entry.town === townByReading) || null;
+                if (targetEntry) {
+                    trace.rule = 'reading';
+                } else {
+                    ruleTownName = townByReading;
+                    trace.notes.push(`読みから町名を「${townByReading}」と判断しました。`);
+                }
+            }
+        }
+
+        // 2. 町名データにない町名は、地区の規則（data.js の districtRules）の対象町名であれば規則の地点を適用する
+        // どの規則の対象でもない町名（入力誤りや旧町の大字など）はエラーとして報告する
+        if (!targetEntry) {
+            const ruleMatch = findDistrictRule(ruleTownName, getDistrictRules(dataVersion));
+            if (ruleMatch && ruleMatch.excludedBy) {
+                trace.notes.push(`「${ruleMatch.excludedBy}」を含む町名のため、規則「${ruleMatch.rule.name}」は適用しません。`);
+            } else if (ruleMatch) {
+                // 規則は町内全域に適用するため、地番の範囲は照合しない
+                const candidates = getRangeLocations(ruleMatch.rule);
+                trace.rule = 'district_rule';
+                trace.entryTown = ruleMatch.town;
+                trace.districtRule = ruleMatch.rule.name;
+                trace.notes.push(`「${ruleMatch.town}」は規則「${ruleMatch.rule.name}」の対象町名のため、町内全域を ${candidates.join(' OR ')} とします。`);
+
+                if (!lotNumber) {
+                    return failure('invalid_lot', { town: ruleMatch.town },
+                        Object.assign({ matchedTown: ruleMatch.town }, inputFields));
+                }
+                return {
+                    status: candidates.length > 1 ? 'ambiguous' : 'ok',
+                    point: candidates.join(' OR '),
+                    candidates: candidates,
+                    details: {},
+                    matchedTown: ruleMatch.town,
+                    rangeStr: `全域（${ruleMatch.rule.name}）`,
+                    normalizedTown: inputTown,
+                    lot: lotNumber,
+                    aliases: aliasResult.aliases,
+                    asOfDate: dateStr,
+                    dataVersion: versionInfo,
+                    nearBoundaries: [],
+                    trace: trace
+                };
+            } else {
+                trace.notes.push('町名データにも、地区の規則の対象町名にもありません。');
+            }
+        }
+
+        if (!targetEntry) {
+            const suggestions = findSimilarTowns(inputTown, knownTowns);
+            return failure('unknown_town', { town: inputTown, suggestions: suggestions },
+                Object.assign({ suggestions: suggestions }, inputFields));
+        }
+
+        trace.entryTown = targetEntry.town;
+        trace.ranges = targetEntry.ranges.map(range => ({
+            start: formatLotNumber(toLotNumber(range.start)),
+            end: formatLotNumber(toLotNumber(range.end)),
+            locations: getRangeLocations(range),
+            result: 'not_checked'
+        }));
+
+        if (!lotNumber) {
+            return failure('invalid_lot', { town: targetEntry.town },
+                Object.assign({ matchedTown: targetEntry.town }, inputFields));
+        }
+
+        // 3. 範囲を順番にチェック (地番境界値の厳格な適用)
+        // data.jsの定義: start以上、end未満 (start <= x < end)
+        for (let i = 0; i < targetEntry.ranges.length; i++) {
+            const range = targetEntry.ranges[i];
+            const rangeStart = toLotNumber(range.start);
+            const rangeEnd = toLotNumber(range.end);
+            
+            // 基本の範囲判定: 開始地番以上 (>=) かつ 終了地番未満 (<)
+            const isMatch = compareLotNumbers(lotNumber, rangeStart) >= 0 && compareLotNumbers(lotNumber, rangeEnd) < 0;
+            trace.ranges[i].result = isMatch ? 'match' : 'no_match';
+            if (isMatch) {
+                const matchedTown = targetEntry.town;
+                const rangeStr = `${formatLotNumber(rangeStart)} 以上 ${formatLotNumber(rangeEnd)} 未満`;
+                const candidates = getRangeLocations(range);
+                return {
+                    status: candidates.length > 1 ? 'ambiguous' : 'ok',
+                    point: candidates.join(' OR '),
+                    candidates: candidates,
+                    details: {},
+                    matchedTown: matchedTown,
+                    rangeStr: rangeStr,
+                    normalizedTown: inputTown,
+                    lot: lotNumber,
+                    aliases: aliasResult.aliases,
+                    asOfDate: dateStr,
+                    dataVersion: versionInfo,
+                    nearBoundaries: findNearBoundaries(targetEntry.ranges, range, lotNumber),
+                    trace: trace
+                };
+            }
+        }
+        
+        return failure('out_of_range', { town: targetEntry.town, lot: formatLotNumber(lotNumber) },
+            Object.assign({ matchedTown: targetEntry.town }, inputFields));
+        
+    } catch (e) {
+        console.error("検索処理中に致命的なエラーが発生しました:", e);
+        return failure('exception', { message: e.message });
+    }
+}
+
+/**
+ * 地番が、一致した範囲の開始・終了の境界付近にあるかを調べる
+ * 境界の反対側に地点の異なる範囲がある場合のみ対象とする（同じ地点なら判定結果は変わらないため）
+ * @param {Array} ranges 町名データの範囲の一覧
+ * @param {object} matchedRange 地番が一致した範囲
+ * @param {{main: number, branches: number[]}} lotNumber 地番
+ * @param {number} [maxDistance] 警告する地番（本番）の差。省略時は data.js の BOUNDARY_WARNING_DISTANCE
+ * @returns {Array<{boundary: string, distance: number, adjacentRange: {start: string, end: string, locations: string[]}}>}
+ */
+function findNearBoundaries(ranges, matchedRange, lotNumber, maxDistance = CORE_DATA.BOUNDARY_WARNING_DISTANCE) {
+    const matchedStart = toLotNumber(matchedRange.start);
+    const matchedEnd = toLotNumber(matchedRange.end);
+    const matchedLocations = getRangeLocations(matchedRange).join('|');
+
+    // 境界の地番と、境界の反対側の範囲（開始側は終了が境界の範囲、終了側は開始が境界の範囲）
+    const sides = [
+        { boundary: matchedStart, distance: lotNumber.main - matchedStart.main, isAdjacent: (range) => compareLotNumbers(toLotNumber(range.end), matchedStart) === 0 },
+        { boundary: matchedEnd, distance: matchedEnd.main - lotNumber.main, isAdjacent: (range) => compareLotNumbers(toLotNumber(range.start), matchedEnd) === 0 }
+    ];
+
+    return sides
+        .filter(side => side.distance <= maxDistance)
+        .map(side => {
+            const adjacent = ranges.find(range => range !== matchedRange && side.isAdjacent(range));
+            if (!adjacent || getRangeLocations(adjacent).join('|') === matchedLocations) return null;
+            return {
+                boundary: formatLotNumber(side.boundary),
+                distance: side.distance,
+                adjacentRange: {
+                    start: formatLotNumber(toLotNumber(adjacent.start)),
+                    end: formatLotNumber(toLotNumber(adjacent.end)),
+                    locations: getRangeLocations(adjacent)
+                }
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * 範囲に定義された地点を配列で返す（単一地点の場合も要素1つの配列にする）
+ */
+function getRangeLocations(range) {
+    return Array.isArray(range.location) ? range.location.slice() : [range.location];
+}
+
+/**
+ * 町名が対象となる地区の規則を探す
+ * 町名は完全一致、または「町」を除いた一致で照合する。除外（excludes）の文字列を含む町名には規則を適用しない
+ * @returns {{rule: object, town: string|null, excludedBy: string|null} | null}
+ *          town は一致した規則の対象町名。除外に該当した場合は town が null で excludedBy に除外の文字列が入る
+ */
+function findDistrictRule(townName, rules) {
+    const cleanTown = townName.replace(/町$/, '').trim();
+    let excluded = null;
+
+    for (const rule of rules) {
+        const excludedBy = (rule.excludes || []).find(ex => townName.includes(ex));
+        if (excludedBy) {
+            excluded = excluded || { rule: rule, town: null, excludedBy: excludedBy };
+            continue;
+        }
+        const town = rule.towns.find(t => t === townName || t.replace(/町$/, '').trim() === cleanTown);
+        if (town) return { rule: rule, town: town, excludedBy: null };
+    }
+    return excluded;
+}
+
+
+// --- 町名候補（オートコンプリート・もしかして） ---
+
+const ROMAJI_TABLE = {
+    'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+    'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+    'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+    'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+    'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+    'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+    'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+    'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+    'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+    'わ': 'wa', 'を': 'o', 'ん': 'n',
+    'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+    'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+    'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+    'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+    'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po'
+};
+const ROMAJI_YOUON = { 'ゃ': 'a', 'ゅ': 'u', 'ょ': 'o' };
+
+/**
+ * カタカナをひらがなに変換する
+ */
+function toHiragana(str) {
+    return str.replace(/[ァ-ヶ]/g, s => String.fromCharCode(s.charCodeAt(0) - 0x60));
+}
+
+/**
+ * ひらがなをヘボン式ローマ字に変換する（拗音・促音に対応）
+ */
+function kanaToRomaji(hiragana) {
+    let romaji = '';
+    let doubleNext = false;
+
+    for (let i = 0; i < hiragana.length; i++) {
+        const c = hiragana[i];
+        const next = hiragana[i + 1];
+
+        if (c === 'っ') {
+            doubleNext = true;
+            continue;
+        }
+
+        let syllable = ROMAJI_TABLE[c] || '';
+        if (next in ROMAJI_YOUON && syllable.endsWith('i')) {
+            // きゃ→kya、しゃ→sha、じゃ→ja
+            const base = syllable.slice(0, -1);
+            syllable = (/(sh|ch|j)$/.test(base) ? base : base + 'y') + ROMAJI_YOUON[next];
+            i++;
+        }
+
+        if (doubleNext && syllable) {
+            syllable = (syllable.startsWith('ch') ? 't' : syllable[0]) + syllable;
+            doubleNext = false;
+        }
+        romaji += syllable;
+    }
+    return romaji;
+}
+
+/**
+ * ローマ字の表記ゆれ（ヘボン式/訓令式）を吸収するため、訓令式寄りの表記に揃える
+ */
+function simplifyRomaji(romaji) {
+    return romaji.toLowerCase()
+        .replace(/sh/g, 'sy')
+        .replace(/ch/g, 'ty')
+        .replace(/ts/g, 't')
+        .replace(/j/g, 'zy')
+        .replace(/f/g, 'h')
+        .replace(/([st]|zy)yi/g, (m, c) => (c === 'zy' ? 'z' : c) + 'i')
+        .replace(/[^a-z]/g, '');
+}
+
+/**
+ * s が target の部分列（文字の順序を保った飛び飛びの一致）かどうか
+ * 例: 「うぶか」は「うしぶかまち」の部分列
+ */
+function isSubsequence(s, target) {
+    let pos = 0;
+    for (const c of target) {
+        if (c === s[pos]) pos++;
+        if (pos === s.length) return true;
+    }
+    return s.length === 0;
+}
+
+/**
+ * 2つの文字列の編集距離（レーベンシュタイン距離）
+ */
+function editDistance(a, b) {
+    const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = prev[0];
+        prev[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const temp = prev[j];
+            prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = temp;
+        }
+    }
+    return prev[b.length];
+}
+
+/**
+ * 候補となる町名の一覧（読み・ローマ字付き）を返す
+ * 読みが登録されていない項目（取り込んだCSVの「東・浄南・太田町以外」の行など）は町名ではないため除く
+ * @param {Array} [entries] 対象とする版の町名一覧（省略時は今日時点の版。getKnownTowns を参照）
+ */
+function getTownCandidates(entries = getKnownTowns()) {
+    return entries
+        .filter(entry => CORE_DATA.TOWN_READINGS[entry.town])
+        .map(entry => {
+            const reading = CORE_DATA.TOWN_READINGS[entry.town];
+            return { town: entry.town, reading: reading, romaji: simplifyRomaji(kanaToRomaji(reading)) };
+        });
+}
+
+/**
+ * 入力途中の文字列に合う町名候補を返す
+ * 漢字の部分一致、ひらがな/カタカナの読み、ローマ字のいずれでも照合する
+ * 並び順: 前方一致 → 部分一致 → 読みの部分列一致
+ */
+function suggestTowns(query, limit = 8, entries = getKnownTowns()) {
+    const input = toHiragana((query || '').replace(/[\s　]+/g, ''));
+    if (!input) return [];
+
+    const isRomaji = /^[a-zA-Z]+$/.test(input);
+    const romajiInput = isRomaji ? simplifyRomaji(input) : '';
+
+    const scored = [];
+    getTownCandidates(entries).forEach(candidate => {
+        // 旧町名を除いた大字部分（例: 有明町赤崎 → 赤崎）でも前方一致を判定する
+        const subTown = candidate.town.replace(/^.+?町(?=.)/, '');
+        const subReading = candidate.reading.replace(/^.+?まち(?=.)/, '');
+        let score = null;
+
+        if (isRomaji) {
+            if (candidate.romaji.startsWith(romajiInput) || simplifyRomaji(kanaToRomaji(subReading)).startsWith(romajiInput)) score = 0;
+            else if (candidate.romaji.includes(romajiInput)) score = 1;
+        } else if (candidate.town.startsWith(input) || subTown.startsWith(input) ||
+                   candidate.reading.startsWith(input) || subReading.startsWith(input)) {
+            score = 0;
+        } else if (candidate.town.includes(input) || candidate.reading.includes(input)) {
+            score = 1;
+        } else if (/^[ぁ-ん]+$/.test(input) && isSubsequence(input, candidate.reading)) {
+            score = 2;
+        }
+
+        if (score !== null) scored.push({ town: candidate.town, score: score });
+    });
+
+    return scored
+        .sort((a, b) => a.score - b.score || a.town.localeCompare(b.town, 'ja'))
+        .slice(0, limit)
+        .map(item => item.town);
+}
+
+/**
+ * 見つからなかった町名に近い町名を返す（「もしかして」表示用）
+ * 町名全体と大字部分のそれぞれで編集距離を測り、近いものから返す
+ */
+function findSimilarTowns(townName, entries = getKnownTowns(), limit = 3) {
+    const input = (townName || '').replace(/町$/, '');
+    if (!input) return [];
+
+    return getTownCandidates(entries)
+        .map(candidate => {
+            const full = candidate.town.replace(/町$/, '');
+            const subTown = candidate.town.replace(/^.+?町(?=.)/, '').replace(/町$/, '');
+            const distance = Math.min(editDistance(input, full), editDistance(input, subTown));
+            return { town: candidate.town, distance: distance };
+        })
+        .filter(item => item.distance <= Math.max(1, Math.floor(input.length / 3)))
+        .sort((a, b) => a.distance - b.distance || a.town.localeCompare(b.town, 'ja'))
+        .slice(0, limit)
+        .map(item => item.town);
+}
+
+/**
+ * ひらがな・カタカナ・ローマ字の読みが町名の読みと完全に一致する場合、その町名を返す
+ */
+function findTownByReading(input, entries = getKnownTowns()) {
+    const hiragana = toHiragana(input);
+    const romaji = /^[a-zA-Z]+$/.test(input) ? simplifyRomaji(input) : null;
+    const candidate = getTownCandidates(entries).find(c =>
+        c.reading === hiragana || c.reading === hiragana + 'まち' || (romaji && (c.romaji === romaji || c.romaji === romaji + 'mati'))
+    );
+    return candidate ? candidate.town : null;
+}
+
+
+// --- 地点からの逆引き ---
+
+/**
+ * 判定基準日の旅費データに現れる地点名の一覧を返す
+ */
+function getPointNames(asOfDate) {
+    const dataVersion = getDataVersion(asOfDate);
+    const names = new Set();
+    getTravelPointEntries(asOfDate).forEach(entry => {
+        entry.ranges.forEach(range => getRangeLocations(range).forEach(name => names.add(name)));
+    });
+    getDistrictRules(dataVersion).forEach(rule => getRangeLocations(rule).forEach(name => names.add(name)));
+    return Array.from(names).sort((a, b) => a.localeCompare(b, 'ja'));
+}
+
+/**
+ * 地点名から、その地点となる町名・地番範囲と施設を逆引きする
+ * isExclusive は、その地点だけが適用される（複数地点のいずれかではない）場合に true
+ * 地区の規則の対象町名は、start・end を null とし、districtRule に規則名を入れる（町内全域）
+ * @returns {{point: string, asOfDate: string, dataVersion: {version: string, effectiveFrom: string} | null,
+ *            ranges: Array<{town: string, start: string|null, end: string|null, locations: string[], isExclusive: boolean,
+ *                           districtRule?: string}>,
+ *            facilities: Array<{name: string, address: string, candidates: string[], isExclusive: boolean}>}}
+ */
+function reverseLookupPoint(pointName, asOfDate) {
+    const dataVersion = getDataVersion(asOfDate);
+    const ranges = [];
+
+    (dataVersion ? dataVersion.entries : []).forEach(entry => {
+        entry.ranges.forEach(range => {
+            const locations = getRangeLocations(range);
+            if (!locations.includes(pointName)) return;
+            ranges.push({
+                town: entry.town,
+                start: formatLotNumber(toLotNumber(range.start)),
+                end: formatLotNumber(toLotNumber(range.end)),
+                locations: locations,
+                isExclusive: locations.length === 1
+            });
+        });
+    });
+    getDistrictRules(dataVersion).forEach(rule => {
+        const locations = getRangeLocations(rule);
+        if (!locations.includes(pointName)) return;
+        rule.towns.forEach(town => ranges.push({
+            town: town,
+            start: null,
+            end: null,
+            locations: locations,
+            isExclusive: locations.length === 1,
+            districtRule: rule.name
+        }));
+    });
+
+    const facilities = getSortedFacilities()
+        .map(facility => ({ facility: facility, result: resolveFacility(facility, asOfDate) }))
+        .filter(({ result }) => !isResultError(result) && result.candidates.includes(pointName))
+        .map(({ facility, result }) => ({
+            name: facility.name,
+            address: facility.address,
+            candidates: result.candidates,
+            isExclusive: result.candidates.length === 1
+        }));
+
+    return {
+        point: pointName,
+        asOfDate: toDateString(asOfDate),
+        dataVersion: dataVersion ? { version: dataVersion.version, effectiveFrom: dataVersion.effectiveFrom } : null,
+        ranges: ranges,
+        facilities: facilities
+    };
+}
+
+
+// --- 郵便番号 ---
+
+/**
+ * 郵便番号を7桁の数字にする（〒・全角数字・ハイフンを許容）。郵便番号として解釈できなければ null
+ */
+function normalizePostalCode(postalCode) {
+    const digits = toHalfWidthDigits((postalCode || '').replace(/[\s　〒]/g, '')).replace(/[-－ー−‐]/g, '');
+    return /^\d{7}$/.test(digits) ? digits : null;
+}
+
+/**
+ * 郵便番号を「863-0001」の形式で表す
+ */
+function formatPostalCode(postalCode) {
+    return `${postalCode.slice(0, 3)}-${postalCode.slice(3)}`;
+}
+
+/**
+ * 住所文字列の先頭にある郵便番号（〒付き・なし）を取り出す。なければ null
+ */
+function extractPostalCode(fullAddress) {
+    const match = (fullAddress || '').replace(/[\s　]+/g, '').match(/^〒?([0-9０-９]{3}[-－ー−]?[0-9０-９]{4})/);
+    return match ? normalizePostalCode(match[1]) : null;
+}
+
+/**
+ * 郵便番号の区域に含まれる町名と、町名ごとの旅費地点を調べる
+ * 町名の地点は、その町名のいずれかの範囲（地区の規則の対象町名は規則）で適用される地点をすべて挙げる
+ * @returns {{postalCode: string, hasData: boolean, towns: Array<{town: string, locations: string[], isKnown: boolean}>,
+ *            hasDifferentPoints: boolean}}
+ *          hasData は郵便番号データ（postal-codes.js）が生成済みかどうか
+ *          isKnown はその町名が判定基準日の旅費データ（地区の規則を含む）にあるかどうか
+ *          hasDifferentPoints は、区域内の町名によって適用される地点が異なる場合に true
+ */
+function lookupPostalCode(postalCode, asOfDate) {
+    const dataVersion = getDataVersion(asOfDate);
+    const knownTowns = getKnownTowns(dataVersion);
+
+    const towns = (CORE_DATA.POSTAL_CODES[postalCode] || []).map(town => {
+        const known = knownTowns.find(entry => entry.town === town);
+        const locations = new Set();
+        if (known && known.districtRule) {
+            getRangeLocations(known.districtRule).forEach(name => locations.add(name));
+        } else if (known) {
+            known.ranges.forEach(range => getRangeLocations(range).forEach(name => locations.add(name)));
+        }
+        return { town: town, locations: Array.from(locations), isKnown: Boolean(known) };
+    });
+
+    return {
+        postalCode: postalCode,
+        hasData: Object.keys(CORE_DATA.POSTAL_CODES).length > 0,
+        towns: towns,
+        hasDifferentPoints: new Set(towns.filter(t => t.isKnown).map(t => t.locations.slice().sort().join('|'))).size > 1
+    };
+}
+
+
+// --- 施設 ---
+
+function getFacilityType(name) {
+    if (name.includes('市役所') || name.includes('支所')) return 1; 
+    if (name.includes('公民館') || name.includes('コミュニティセンター') || name.includes('交流センター')) return 2; 
+    if (name.includes('中学校')) return 3; 
+    if (name.includes('小学校')) return 4; 
+    if (name.includes('幼稚園')) return 5; 
+    if (name.includes('体育館') || name.includes('グラウンド') || name.includes('運動広場') || name.includes('テニスコート') || name.includes('相撲場')) return 6; 
+    if (name.includes('図書館') || name.includes('博物館') || name.includes('資料館') || name.includes('アーカイブズ') || name.includes('生涯学習センター') || name.includes('市民センター')) return 7; 
+    if (name.includes('給食センター')) return 8; 
+    return 9; 
+}
+
+// 施設検索の絞り込みに使う分類（getFacilityType の種別コードをまとめたもの）
+const FACILITY_CATEGORIES = [
+    { label: '市役所・支所', types: [1] },
+    { label: '公民館・コミュニティセンター', types: [2] },
+    { label: '学校・幼稚園', types: [3, 4, 5] },
+    { label: '体育施設', types: [6] },
+    { label: '図書館・資料館等', types: [7] },
+    { label: '給食センター', types: [8] },
+    { label: 'その他', types: [9] }
+];
+
+/**
+ * 重複を除いた施設一覧を、種別コード順・同種別内は名前順で返す
+ */
+function getSortedFacilities() {
+    // 1. 重複を排除したリストを作成 
+    const uniqueFacilities = [];
+    const seen = new Set();
+
+    CORE_DATA.FACILITY_DATA.forEach(facility => {
+        const key = facility.name + '|' + facility.address;
+        if (!seen.has(key)) {
+            seen.add(key);
+            uniqueFacilities.push(facility);
+        }
+    });
+
+    // 2. 施設リストを種別コードでソートし、同種別内は名前順でソート
+    return uniqueFacilities.sort((a, b) => {
+        const typeA = getFacilityType(a.name);
+        const typeB = getFacilityType(b.name);
+
+        if (typeA !== typeB) {
+            return typeA - typeB; 
+        }
+        return a.name.localeCompare(b.name, 'ja'); 
+    });
+}
+
+/**
+ * 施設名・住所に検索語を含む施設を返す
+ * 検索語は空白区切りで AND 検索とし、全角/半角の数字の違いは無視する
+ * @param {string} query 検索語
+ * @param {number|null} categoryIndex FACILITY_CATEGORIES の番号（null なら全分類）
+ */
+function filterFacilities(query, categoryIndex) {
+    const normalize = (str) => toHalfWidthDigits(str).replace(/[\s　]+/g, '');
+    const terms = (query || '').split(/[\s　]+/).map(normalize).filter(t => t.length > 0);
+    const category = categoryIndex === null ? null : FACILITY_CATEGORIES[categoryIndex];
+
+    return getSortedFacilities().filter(facility => {
+        if (category && !category.types.includes(getFacilityType(facility.name))) return false;
+        const target = normalize(facility.name + facility.address);
+        return terms.every(term => target.includes(term));
+    });
+}
+
+/**
+ * 施設の住所から旅費地点を判定する
+ */
+function resolveFacility(facility, asOfDate) {
+    return resolveAddress(facility.address, asOfDate);
+}
+
+
+// --- Node からの利用 ---
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        toHalfWidthDigits: toHalfWidthDigits,
+        kanjiToNumber: kanjiToNumber,
+        numberToKanji: numberToKanji,
+        normalizeLotString: normalizeLotString,
+        normalizeTownName: normalizeTownName,
+        normalizeAddressParts: normalizeAddressParts,
+        applyTownAliases: applyTownAliases,
+        formatTownAlias: formatTownAlias,
+        parseLotNumber: parseLotNumber,
+        toLotNumber: toLotNumber,
+        compareLotNumbers: compareLotNumbers,
+        formatLotNumber: formatLotNumber,
+        normalizeAddressString: normalizeAddressString,
+        parseAddress: parseAddress,
+        resolveAddress: resolveAddress,
+        isValidDateString: isValidDateString,
+        toDateString: toDateString,
+        getDataVersion: getDataVersion,
+        getTravelPointEntries: getTravelPointEntries,
+        getDistrictRules: getDistrictRules,
+        getKnownTowns: getKnownTowns,
+        formatDataVersion: formatDataVersion,
+        RESULT_MESSAGES: RESULT_MESSAGES,
+        MATCH_RULE_LABELS: MATCH_RULE_LABELS,
+        formatMatchRule: formatMatchRule,
+        isResultError: isResultError,
+        getResultMessage: getResultMessage,
+        formatResultPoint: formatResultPoint,
+        getTravelPoint: getTravelPoint,
+        getRangeLocations: getRangeLocations,
+        findNearBoundaries: findNearBoundaries,
+        findDistrictRule: findDistrictRule,
+        getTownCandidates: getTownCandidates,
+        suggestTowns: suggestTowns,
+        findSimilarTowns: findSimilarTowns,
+        findTownByReading: findTownByReading,
+        getFacilityType: getFacilityType,
+        FACILITY_CATEGORIES: FACILITY_CATEGORIES,
+        getSortedFacilities: getSortedFacilities,
+        filterFacilities: filterFacilities,
+        resolveFacility: resolveFacility,
+        normalizePostalCode: normalizePostalCode,
+        formatPostalCode: formatPostalCode,
+        extractPostalCode: extractPostalCode,
+        lookupPostalCode: lookupPostalCode,
+        getPointNames: getPointNames,
+        reverseLookupPoint: reverseLookupPoint,
+        data: CORE_DATA
+    };
+}
@@ -65,7 +65,7 @@ const FACILITY_DATA = [
     {"name": "大江地区コミュニティセンター", "address": "天草市天草町大江７４８０番地５"},
     {"name": "新合地区コミュニティセンター", "address": "天草市河浦町新合２００８番地４"},
     {"name": "一町田地区コミュニティセンター", "address": "天草市河浦町河浦５２２３番地"},
-    {"name": "富津地区コミュニティセンター", "address": "天草市河浦町富津１１１７番地２"},
+    {"name": "富津地区コミュニティセンター", "address": "天草市河浦町崎津１１１７番地２"}, // 住所修正（富津は崎津の地内。富津運動場と同じ）
     {"name": "宮野河内地区コミュニティセンター", "address": "天草市河浦町宮野河内３３７番地６"},
     {"name": "天草市立本渡学校給食センター", "address": "天草市東町７番地４１"},
     {"name": "天草市立牛深学校給食センター", "address": "天草市久玉町１２１６番地１２"},
@@ -225,269 +225,464 @@ const FACILITY_DATA = [
 ];
 
 // --- 旅費地点判定データ (地点目安.csvから、ロジック反映済) ---
+// 範囲は start 以上 end 未満。境界値は数値（本番のみ、例: 1150.0）または
+// 地番表記の文字列（枝番まで指定、例: "1150-3"）で記述できる
+// location は地点名。いずれかの地点を選択して適用する範囲（旧表記「本渡or亀場」）は地点名の配列で記述する
+// 規程の改正に備え、版ごとに施行日（effectiveFrom）を持たせる。判定基準日以前に施行された版のうち最新の版を使用する
+// 改正時は既存の版を書き換えず、新しい版を末尾に追加すること
+// districtRules は、町名ごとの範囲を定義せずに地区単位で地点を定める規則（地点目安の「東・浄南・太田町以外」など）
+//   name: 規則名 / towns: 対象の町名 / excludes: 対象外とする町名（この文字列を含む町名には適用しない）
+//   location: 適用する地点（範囲の location と同じ書式）
+// entries にない町名は、いずれかの規則の towns にある場合のみ判定でき、それ以外は「町名が見つからない」エラーとなる
 const TRAVEL_POINTS_DATA = [
-    { "town": "東町", "ranges": [{"start": 0.0, "end": 99999.0, "location": "本渡or亀場"}] },
-    { "town": "浄南町", "ranges": [
-        {"start": 5.0, "end": 99999.0, "location": "本渡or亀場" /* 5.0以上 */}, 
-        {"start": 0.0, "end": 5.0, "location": "本渡" /* 5.0未満 */ }
-    ]},
-    { "town": "太田町", "ranges": [
-        {"start": 19.0, "end": 21.0, "location": "本渡or亀場"}, 
-        {"start": 0.0, "end": 19.0, "location": "本渡"}, 
-        {"start": 21.0, "end": 99999.0, "location": "本渡"}
-    ]},
-    { "town": "東・浄南・太田町以外", "ranges": [{"start": 0.0, "end": 99999.0, "location": "本渡" /* 上記以外 */}] }, 
-    { "town": "旭町", "ranges": [{"start": 0.0, "end": 99999.0, "location": "佐伊津"}] },
-    { "town": "瀬戸町", "ranges": [{"start": 0.0, "end": 99999.0, "location": "亀場"}] },
-    { "town": "本渡町本渡", "ranges": [{"start": 0.0, "end": 99999.0, "location": "本渡"}] },
-    { "town": "本渡町広瀬", "ranges": [
-        {"start": 1.0, "end": 1470.0, "location": "本渡"},
-        {"start": 1470.0, "end": 2080.0, "location": "佐伊津"}, 
-        {"start": 2080.0, "end": 99999.0, "location": "本渡"}
-    ]},
-    { "town": "本渡町本戸馬場", "ranges": [{"start": 0.0, "end": 99999.0, "location": "本渡"}] },
-    { "town": "本渡町本泉", "ranges": [{"start": 0.0, "end": 99999.0, "location": "本渡"}] },
-    { "town": "佐伊津町", "ranges": [{"start": 0.0, "end": 99999.0, "location": "佐伊津"}] },
-    { "town": "本町本", "ranges": [{"start": 0.0, "end": 99999.0, "location": "本町"}] },
-    { "town": "本町新休", "ranges": [{"start": 0.0, "end": 99999.0, "location": "本町"}] },
-    { "town": "本町下河内", "ranges": [
-        {"start": 1.0, "end": 1200.0, "location": "本町"},
-        {"start": 1200.0, "end": 2000.0, "location": "城河原"}, 
-        {"start": 2000.0, "end": 99999.0, "location": "本町"}
-    ]},
-    { "town": "亀場町亀川", "ranges": [{"start": 0.0, "end": 99999.0, "location": "亀場"}] },
-    { "town": "亀場町食場", "ranges": [
-        {"start": 1.0, "end": 340.0, "location": "枦宇土"},
-        {"start": 340.0, "end": 700.0, "location": "亀場"},
-        {"start": 700.0, "end": 800.0, "location": "枦宇土"}, 
-        {"start": 800.0, "end": 900.0, "location": "亀場or枦宇土"},
-        {"start": 900.0, "end": 1200.0, "location": "亀場"},
-        {"start": 1200.0, "end": 99999.0, "location": "枦宇土"}
-    ]},
-    { "town": "枦宇土町", "ranges": [
-        {"start": 1.0, "end": 1030.0, "location": "枦宇土 OR 福連木"},
-        {"start": 1030.0, "end": 1130.0, "location": "枦宇土 OR 宮地岳"}, 
-        {"start": 1130.0, "end": 99999.0, "location": "枦宇土"}
-    ]},
-    { "town": "楠浦町", "ranges": [
-        {"start": 1.0, "end": 900.0, "location": "楠浦"},
-        {"start": 900.0, "end": 1200.0, "location": "亀場or楠浦"}, 
-        {"start": 1200.0, "end": 6400.0, "location": "楠浦"},
-        {"start": 6400.0, "end": 6800.0, "location": "宮地岳"},
-        {"start": 6800.0, "end": 10000.0, "location": "楠浦"},
-        {"start": 10000.0, "end": 99999.0, "location": "亀場"}
-    ]},
-    { "town": "宮地岳町", "ranges": [{"start": 0.0, "end": 99999.0, "location": "宮地岳"}] },
-    { "town": "志柿町", "ranges": [
-        {"start": 1.0, "end": 400.0, "location": "島子"},
-        {"start": 400.0, "end": 4700.0, "location": "志柿"}, 
-        {"start": 4700.0, "end": 5320.0, "location": "下浦"},
-        {"start": 5320.0, "end": 7000.0, "location": "亀場"},
-        {"start": 7000.0, "end": 99999.0, "location": "志柿"}
-    ]},
-    { "town": "下浦町", "ranges": [{"start": 0.0, "end": 99999.0, "location": "下浦"}] },
-    { "town": "牛深町", "ranges": [
-        {"start": 1.0, "end": 90.0, "location": "牛深 OR 魚貫"},
-        {"start": 90.0, "end": 300.0, "location": "牛深 OR 久玉"}, 
-        {"start": 300.0, "end": 1600.0, "location": "牛深 OR 魚貫"},
-        {"start": 1600.0, "end": 99999.0, "location": "牛深"}
-    ]},
-    { "town": "魚貫町", "ranges": [
-        {"start": 1.0, "end": 3400.0, "location": "魚貫"},
-        {"start": 3400.0, "end": 99999.0, "location": "魚貫崎"}
-    ]},
-    { "town": "二浦町早浦", "ranges": [{"start": 0.0, "end": 99999.0, "location": "亀浦"}] },
-    { "town": "二浦町亀浦", "ranges": [
-        {"start": 1.0, "end": 2200.0, "location": "亀浦"},
-        {"start": 2200.0, "end": 2600.0, "location": "向辺田"}, 
-        {"start": 2600.0, "end": 99999.0, "location": "亀浦"}
-    ]},
-    { "town": "久玉町", "ranges": [
-        {"start": 1.0, "end": 40.0, "location": "牛深 OR 山の浦"},
-        {"start": 40.0, "end": 1000.0, "location": "久玉 OR 山の浦"}, 
-        {"start": 1000.0, "end": 2000.0, "location": "久玉 OR 山の浦 OR 古江"},
-        {"start": 2000.0, "end": 5345.0, "location": "久玉 OR 山の浦"},
-        {"start": 5345.0, "end": 5705.0, "location": "久玉"},
-        {"start": 5705.0, "end": 5706.0, "location": "牛深"},
-        {"start": 5706.0, "end": 99999.0, "location": "久玉"}
-    ]},
-    { "town": "深海町", "ranges": [
-        {"start": 1.0, "end": 4800.0, "location": "深海"},
-        {"start": 4800.0, "end": 5000.0, "location": "深海 OR 山の浦"}, 
-        {"start": 5000.0, "end": 99999.0, "location": "深海"}
-    ]},
-    { "town": "有明町赤崎", "ranges": [
-        {"start": 1.0, "end": 2999.0, "location": "赤崎"},
-        {"start": 2999.0, "end": 3039.0, "location": "上津浦"},
-        {"start": 3039.0, "end": 99999.0, "location": "赤崎"}
-    ]},
-    { "town": "有明町須子", "ranges": [{"start": 0.0, "end": 99999.0, "location": "大浦"}] },
-    { "town": "有明町大浦", "ranges": [
-        {"start": 1.0, "end": 58.0, "location": "楠甫"},
-        {"start": 58.0, "end": 4000.0, "location": "大浦"}, 
-        {"start": 4000.0, "end": 99999.0, "location": "楠甫"}
-    ]},
-    { "town": "有明町楠甫", "ranges": [{"start": 0.0, "end": 99999.0, "location": "楠甫"}] },
-    { "town": "有明町上津浦", "ranges": [
-        {"start": 1.0, "end": 1880.0, "location": "上津浦"},
-        {"start": 1880.0, "end": 3200.0, "location": "赤崎"}, 
-        {"start": 3200.0, "end": 5000.0, "location": "上津浦"},
-        {"start": 5000.0, "end": 99999.0, "location": "河内"}
-    ]},
-    { "town": "有明町下津浦", "ranges": [
-        {"start": 1.0, "end": 1712.0, "location": "上津浦"},
-        {"start": 1712.0, "end": 1719.0, "location": "河内"},
-        {"start": 1719.0, "end": 1893.0, "location": "上津浦"},
-        {"start": 1893.0, "end": 1894.0, "location": "河内"},
-        {"start": 1894.0, "end": 3721.0, "location": "上津浦"},
-        {"start": 3721.0, "end": 3881.0, "location": "河内"},
-        {"start": 3881.0, "end": 4639.0, "location": "上津浦"},
-        {"start": 4639.0, "end": 4640.0, "location": "河内"},
-        {"start": 4640.0, "end": 99999.0, "location": "上津浦"}
-    ]},
-    { "town": "有明町大島子", "ranges": [{"start": 0.0, "end": 99999.0, "location": "島子"}] },
-    { "town": "有明町小島子", "ranges": [
-        {"start": 1.0, "end": 800.0, "location": "上津浦"},
-        {"start": 800.0, "end": 1320.0, "location": "島子"}, 
-        {"start": 1320.0, "end": 1326.0, "location": "上津浦"},
-        {"start": 1326.0, "end": 99999.0, "location": "島子"}
-    ]},
-    { "town": "御所浦町御所浦", "ranges": [
-        {"start": 1.0, "end": 1200.0, "location": "外平"},
-        {"start": 1200.0, "end": 3101.0, "location": "嵐口"},
-        {"start": 3101.0, "end": 4960.0, "location": "御所浦"}, 
-        {"start": 4960.0, "end": 5679.0, "location": "元浦"},
-        {"start": 5679.0, "end": 99999.0, "location": "大浦"}
-    ]},
-    { "town": "御所浦町牧島", "ranges": [
-        {"start": 1.0, "end": 1010.0, "location": "牧本"},
-        {"start": 1010.0, "end": 2000.0, "location": "長浦"}, 
-        {"start": 2000.0, "end": 99999.0, "location": "椛の木"}
-    ]},
-    { "town": "御所浦町横浦", "ranges": [
-        {"start": 1.0, "end": 600.0, "location": "(横浦港)船のみ"},
-        {"start": 600.0, "end": 99999.0, "location": "(与一ヶ浦港)船のみ"}
-    ]},
-    { "town": "倉岳町棚底", "ranges": [{"start": 0.0, "end": 99999.0, "location": "棚底"}] },
-    { "town": "倉岳町宮田", "ranges": [
-        {"start": 1.0, "end": 1533.0, "location": "宮田"},
-        {"start": 1533.0, "end": 1534.0, "location": "棚底"},
-        {"start": 1534.0, "end": 3260.0, "location": "宮田"}, 
-        {"start": 3260.0, "end": 3600.0, "location": "棚底 OR 宮田"},
-        {"start": 3600.0, "end": 3820.0, "location": "宮田"},
-        {"start": 3820.0, "end": 3880.0, "location": "棚底 OR 宮田"},
-        {"start": 3880.0, "end": 99999.0, "location": "宮田"}
-    ]},
-    { "town": "倉岳町浦", "ranges": [
-        {"start": 1.0, "end": 400.0, "location": "棚底"},
-        {"start": 400.0, "end": 99999.0, "location": "浦"}
-    ]},
-    { "town": "栖本町馬場", "ranges": [{"start": 0.0, "end": 99999.0, "location": "馬場"}] },
-    { "town": "栖本町打田", "ranges": [{"start": 0.0, "end": 99999.0, "location": "馬場"}] },
-    { "town": "栖本町湯船原", "ranges": [{"start": 0.0, "end": 99999.0, "location": "馬場"}] },
-    { "town": "栖本町古江", "ranges": [
-        {"start": 1.0, "end": 800.0, "location": "馬場"},
-        {"start": 800.0, "end": 1400.0, "location": "宮田"}, 
-        {"start": 1400.0, "end": 99999.0, "location": "馬場"}
-    ]},
-    { "town": "栖本町河内", "ranges": [{"start": 0.0, "end": 99999.0, "location": "河内"}] },
-    { "town": "新和町小宮地", "ranges": [
-        {"start": 1.0, "end": 8700.0, "location": "小宮地"},
-        {"start": 8700.0, "end": 9500.0, "location": "中田"}, 
-        {"start": 9500.0, "end": 99999.0, "location": "立"}
-    ]},
-    { "town": "新和町大宮地", "ranges": [
-        {"start": 1.0, "end": 2100.0, "location": "小宮地"},
-        {"start": 2100.0, "end": 4007.0, "location": "宮地岳"}, 
-        {"start": 4007.0, "end": 5000.0, "location": "小宮地"},
-        {"start": 5000.0, "end": 99999.0, "location": "宮地岳"}
-    ]},
-    { "town": "新和町大多尾", "ranges": [
-        {"start": 1.0, "end": 4560.0, "location": "大多尾"},
-        {"start": 4560.0, "end": 5000.0, "location": "小宮地"}, 
-        {"start": 5000.0, "end": 99999.0, "location": "大多尾"}
-    ]},
-    {"town": "新和町碇石", "ranges": [
-        {"start": 1.0, "end": 1030.0, "location": "小宮地"},
-        {"start": 1030.0, "end": 99999.0, "location": "宮地岳"}
-    ]},
-    {"town": "新和町中田", "ranges": [{"start": 0.0, "end": 99999.0, "location": "中田"}] },
-    { "town": "五和町御領", "ranges": [
-        {"start": 1.0, "end": 8720.0, "location": "御領"},
-        {"start": 8720.0, "end": 10800.0, "location": "鬼池"}, 
-        {"start": 10800.0, "end": 12134.0, "location": "御領"},
-        {"start": 12134.0, "end": 12135.0, "location": "鬼池"},
-        {"start": 12135.0, "end": 99999.0, "location": "御領"}
-    ]},
-    { "town": "五和町鬼池", "ranges": [{"start": 0.0, "end": 99999.0, "location": "鬼池"}] },
-    { "town": "五和町二江", "ranges": [{"start": 0.0, "end": 99999.0, "location": "二江"}] },
-    { "town": "五和町手野一丁目", "ranges": [
-        {"start": 1.0, "end": 410.0, "location": "城河原"},
-        {"start": 410.0, "end": 99999.0, "location": "手野"}
-    ]},
-    { "town": "五和町手野二丁目", "ranges": [
-        {"start": 1.0, "end": 1081.0, "location": "手野"},
-        {"start": 1081.0, "end": 1410.0, "location": "二江"}, 
-        {"start": 1410.0, "end": 99999.0, "location": "手野"}
-    ]},
-    { "town": "五和町城河原一丁目", "ranges": [
-        {"start": 0.0, "end": 4106.0, "location": "城河原"},
-        {"start": 4106.0, "end": 4107.0, "location": "手野"},
-        {"start": 4107.0, "end": 4182.0, "location": "城河原"}, 
-        {"start": 4182.0, "end": 4183.0, "location": "手野"},
-        {"start": 4183.0, "end": 99999.0, "location": "城河原"}
-    ]},
-    { "town": "五和町城河原二丁目", "ranges": [
-        {"start": 0.0, "end": 99999.0, "location": "城河原"}
-    ]},
-    { "town": "五和町城河原三丁目", "ranges": [
-        {"start": 0.0, "end": 99999.0, "location": "城河原"}
-    ]},
-    { "town": "天草町高浜北", "ranges": [{"start": 0.0, "end": 99999.0, "location": "高浜"}] },
-    { "town": "天草町高浜南", "ranges": [{"start": 0.0, "end": 99999.0, "location": "高浜"}] },
-    { "town": "天草町大江", "ranges": [{"start": 0.0, "end": 99999.0, "location": "大江"}] },
-    { "town": "天草町大江軍ヶ浦", "ranges": [{"start": 0.0, "end": 99999.0, "location": "大江"}] },
-    { "town": "天草町下田北", "ranges": [
-        {"start": 1.0, "end": 40.0, "location": "福連木"},
-        {"start": 40.0, "end": 99999.0, "location": "下田"}
-    ]},
-    { "town": "天草町下田南", "ranges": [
-        {"start": 1.0, "end": 400.0, "location": "高浜"},
-        {"start": 400.0, "end": 99999.0, "location": "下田"}
-    ]},
-    { "town": "天草町福連木", "ranges": [{"start": 0.0, "end": 99999.0, "location": "福連木"}] },
-    { "town": "天草町大江向", "ranges": [
-        {"start": 1.0, "end": 100.0, "location": "亀浦"},
-        {"start": 100.0, "end": 99999.0, "location": "向辺田"}
-    ]},
-    { "town": "河浦町河浦", "ranges": [
-        {"start": 1.0, "end": 1150.0, "location": "河浦 OR 板之河内"},
-        {"start": 1150.0, "end": 99999.0, "location": "河浦"}
-    ]},
-    { "town": "河浦町崎津", "ranges": [{"start": 0.0, "end": 99999.0, "location": "崎津"}] },
-    { "town": "河浦町今富", "ranges": [
-        {"start": 1.0, "end": 1930.0, "location": "崎津"},
-        {"start": 1930.0, "end": 2060.0, "location": "崎津 OR 亀浦"}, 
-        {"start": 2060.0, "end": 99999.0, "location": "崎津"}
-    ]},
-    { "town": "河浦町新合", "ranges": [
-        {"start": 1.0, "end": 530.0, "location": "新合"},
-        {"start": 530.0, "end": 640.0, "location": "新合 OR 河浦"}, 
-        {"start": 640.0, "end": 99999.0, "location": "新合"}
-    ]},
-    { "town": "河浦町立原", "ranges": [{"start": 0.0, "end": 99999.0, "location": "新合"}] },
-    { "town": "河浦町今田", "ranges": [{"start": 0.0, "end": 99999.0, "location": "河浦 OR 板之河内"}] },
-    { "town": "河浦町白木河内", "ranges": [
-        {"start": 1.0, "end": 90.0, "location": "古江"},
-        {"start": 90.0, "end": 1000.0, "location": "河浦"}, 
-        {"start": 1000.0, "end": 1851.0, "location": "新合"},
-        {"start": 1851.0, "end": 2168.0, "location": "河浦"}, 
-        {"start": 2168.0, "end": 99999.0, "location": "古江"}
-    ]},
-    { "town": "河浦町久留", "ranges": [{"start": 0.0, "end": 99999.0, "location": "古江"}] },
-    { "town": "河浦町路木", "ranges": [{"start": 0.0, "end": 99999.0, "location": "古江"}] },
-    { "town": "河浦町宮野河内", "ranges": [
-        {"start": 1.0, "end": 1150.0, "location": "宮野河内 OR 中田"},
-        {"start": 1150.0, "end": 99999.0, "location": "宮野河内"}
-    ]}
+    {
+        "version": "初版",
+        // 施行日が不明なため、市の発足日から適用するものとしている
+        "effectiveFrom": "2006-03-27",
+        "entries": [
+            { "town": "東町", "ranges": [{"start": 0.0, "end": 99999.0, "location": ["本渡", "亀場"]}] },
+            { "town": "浄南町", "ranges": [
+                {"start": 5.0, "end": 99999.0, "location": ["本渡", "亀場"] /* 5.0以上 */}, 
+                {"start": 0.0, "end": 5.0, "location": "本渡" /* 5.0未満 */ }
+            ]},
+            { "town": "太田町", "ranges": [
+                {"start": 19.0, "end": 21.0, "location": ["本渡", "亀場"]}, 
+                {"start": 0.0, "end": 19.0, "location": "本渡"}, 
+                {"start": 21.0, "end": 99999.0, "location": "本渡"}
+            ]},
+            { "town": "旭町", "ranges": [{"start": 0.0, "end": 99999.0, "location": "佐伊津"}] },
+            { "town": "瀬戸町", "ranges": [{"start": 0.0, "end": 99999.0, "location": "亀場"}] },
+            { "town": "本渡町本渡", "ranges": [{"start": 0.0, "end": 99999.0, "location": "本渡"}] },
+            { "town": "本渡町広瀬", "ranges": [
+                {"start": 1.0, "end": 1470.0, "location": "本渡"},
+                {"start": 1470.0, "end": 2080.0, "location": "佐伊津"}, 
+                {"start": 2080.0, "end": 99999.0, "location": "本渡"}
+            ]},
+            { "town": "本渡町本戸馬場", "ranges": [{"start": 0.0, "end": 99999.0, "location": "本渡"}] },
+            { "town": "本渡町本泉", "ranges": [{"start": 0.0, "end": 99999.0, "location": "本渡"}] },
+            { "town": "佐伊津町", "ranges": [{"start": 0.0, "end": 99999.0, "location": "佐伊津"}] },
+            { "town": "本町本", "ranges": [{"start": 0.0, "end": 99999.0, "location": "本町"}] },
+            { "town": "本町新休", "ranges": [{"start": 0.0, "end": 99999.0, "location": "本町"}] },
+            { "town": "本町下河内", "ranges": [
+                {"start": 1.0, "end": 1200.0, "location": "本町"},
+                {"start": 1200.0, "end": 2000.0, "location": "城河原"}, 
+                {"start": 2000.0, "end": 99999.0, "location": "本町"}
+            ]},
+            { "town": "亀場町亀川", "ranges": [{"start": 0.0, "end": 99999.0, "location": "亀場"}] },
+            { "town": "亀場町食場", "ranges": [
+                {"start": 1.0, "end": 340.0, "location": "枦宇土"},
+                {"start": 340.0, "end": 700.0, "location": "亀場"},
+                {"start": 700.0, "end": 800.0, "location": "枦宇土"}, 
+                {"start": 800.0, "end": 900.0, "location": ["亀場", "枦宇土"]},
+                {"start": 900.0, "end": 1200.0, "location": "亀場"},
+                {"start": 1200.0, "end": 99999.0, "location": "枦宇土"}
+            ]},
+            { "town": "枦宇土町", "ranges": [
+                {"start": 1.0, "end": 1030.0, "location": ["枦宇土", "福連木"]},
+                {"start": 1030.0, "end": 1130.0, "location": ["枦宇土", "宮地岳"]}, 
+                {"start": 1130.0, "end": 99999.0, "location": "枦宇土"}
+            ]},
+            { "town": "楠浦町", "ranges": [
+                {"start": 1.0, "end": 900.0, "location": "楠浦"},
+                {"start": 900.0, "end": 1200.0, "location": ["亀場", "楠浦"]}, 
+                {"start": 1200.0, "end": 6400.0, "location": "楠浦"},
+                {"start": 6400.0, "end": 6800.0, "location": "宮地岳"},
+                {"start": 6800.0, "end": 10000.0, "location": "楠浦"},
+                {"start": 10000.0, "end": 99999.0, "location": "亀場"}
+            ]},
+            { "town": "宮地岳町", "ranges": [{"start": 0.0, "end": 99999.0, "location": "宮地岳"}] },
+            { "town": "志柿町", "ranges": [
+                {"start": 1.0, "end": 400.0, "location": "島子"},
+                {"start": 400.0, "end": 4700.0, "location": "志柿"}, 
+                {"start": 4700.0, "end": 5320.0, "location": "下浦"},
+                {"start": 5320.0, "end": 7000.0, "location": "亀場"},
+                {"start": 7000.0, "end": 99999.0, "location": "志柿"}
+            ]},
+            { "town": "下浦町", "ranges": [{"start": 0.0, "end": 99999.0, "location": "下浦"}] },
+            { "town": "牛深町", "ranges": [
+                {"start": 1.0, "end": 90.0, "location": ["牛深", "魚貫"]},
+                {"start": 90.0, "end": 300.0, "location": ["牛深", "久玉"]}, 
+                {"start": 300.0, "end": 1600.0, "location": ["牛深", "魚貫"]},
+                {"start": 1600.0, "end": 99999.0, "location": "牛深"}
+            ]},
+            { "town": "魚貫町", "ranges": [
+                {"start": 1.0, "end": 3400.0, "location": "魚貫"},
+                {"start": 3400.0, "end": 99999.0, "location": "魚貫崎"}
+            ]},
+            { "town": "二浦町早浦", "ranges": [{"start": 0.0, "end": 99999.0, "location": "亀浦"}] },
+            { "town": "二浦町亀浦", "ranges": [
+                {"start": 1.0, "end": 2200.0, "location": "亀浦"},
+                {"start": 2200.0, "end": 2600.0, "location": "向辺田"}, 
+                {"start": 2600.0, "end": 99999.0, "location": "亀浦"}
+            ]},
+            { "town": "久玉町", "ranges": [
+                {"start": 1.0, "end": 40.0, "location": ["牛深", "山の浦"]},
+                {"start": 40.0, "end": 1000.0, "location": ["久玉", "山の浦"]}, 
+                {"start": 1000.0, "end": 2000.0, "location": ["久玉", "山の浦", "古江"]},
+                {"start": 2000.0, "end": 5345.0, "location": ["久玉", "山の浦"]},
+                {"start": 5345.0, "end": 5705.0, "location": "久玉"},
+                {"start": 5705.0, "end": 5706.0, "location": "牛深"},
+                {"start": 5706.0, "end": 99999.0, "location": "久玉"}
+            ]},
+            { "town": "深海町", "ranges": [
+                {"start": 1.0, "end": 4800.0, "location": "深海"},
+                {"start": 4800.0, "end": 5000.0, "location": ["深海", "山の浦"]}, 
+                {"start": 5000.0, "end": 99999.0, "location": "深海"}
+            ]},
+            { "town": "有明町赤崎", "ranges": [
+                {"start": 1.0, "end": 2999.0, "location": "赤崎"},
+                {"start": 2999.0, "end": 3039.0, "location": "上津浦"},
+                {"start": 3039.0, "end": 99999.0, "location": "赤崎"}
+            ]},
+            { "town": "有明町須子", "ranges": [{"start": 0.0, "end": 99999.0, "location": "大浦"}] },
+            { "town": "有明町大浦", "ranges": [
+                {"start": 1.0, "end": 58.0, "location": "楠甫"},
+                {"start": 58.0, "end": 4000.0, "location": "大浦"}, 
+                {"start": 4000.0, "end": 99999.0, "location": "楠甫"}
+            ]},
+            { "town": "有明町楠甫", "ranges": [{"start": 0.0, "end": 99999.0, "location": "楠甫"}] },
+            { "town": "有明町上津浦", "ranges": [
+                {"start": 1.0, "end": 1880.0, "location": "上津浦"},
+                {"start": 1880.0, "end": 3200.0, "location": "赤崎"}, 
+                {"start": 3200.0, "end": 5000.0, "location": "上津浦"},
+                {"start": 5000.0, "end": 99999.0, "location": "河内"}
+            ]},
+            { "town": "有明町下津浦", "ranges": [
+                {"start": 1.0, "end": 1712.0, "location": "上津浦"},
+                {"start": 1712.0, "end": 1719.0, "location": "河内"},
+                {"start": 1719.0, "end": 1893.0, "location": "上津浦"},
+                {"start": 1893.0, "end": 1894.0, "location": "河内"},
+                {"start": 1894.0, "end": 3721.0, "location": "上津浦"},
+                {"start": 3721.0, "end": 3881.0, "location": "河内"},
+                {"start": 3881.0, "end": 4639.0, "location": "上津浦"},
+                {"start": 4639.0, "end": 4640.0, "location": "河内"},
+                {"start": 4640.0, "end": 99999.0, "location": "上津浦"}
+            ]},
+            { "town": "有明町大島子", "ranges": [{"start": 0.0, "end": 99999.0, "location": "島子"}] },
+            { "town": "有明町小島子", "ranges": [
+                {"start": 1.0, "end": 800.0, "location": "上津浦"},
+                {"start": 800.0, "end": 1320.0, "location": "島子"}, 
+                {"start": 1320.0, "end": 1326.0, "location": "上津浦"},
+                {"start": 1326.0, "end": 99999.0, "location": "島子"}
+            ]},
+            { "town": "御所浦町御所浦", "ranges": [
+                {"start": 1.0, "end": 1200.0, "location": "外平"},
+                {"start": 1200.0, "end": 3101.0, "location": "嵐口"},
+                {"start": 3101.0, "end": 4960.0, "location": "御所浦"}, 
+                {"start": 4960.0, "end": 5679.0, "location": "元浦"},
+                {"start": 5679.0, "end": 99999.0, "location": "大浦"}
+            ]},
+            { "town": "御所浦町牧島", "ranges": [
+                {"start": 1.0, "end": 1010.0, "location": "牧本"},
+                {"start": 1010.0, "end": 2000.0, "location": "長浦"}, 
+                {"start": 2000.0, "end": 99999.0, "location": "椛の木"}
+            ]},
+            { "town": "御所浦町横浦", "ranges": [
+                {"start": 1.0, "end": 600.0, "location": "(横浦港)船のみ"},
+                {"start": 600.0, "end": 99999.0, "location": "(与一ヶ浦港)船のみ"}
+            ]},
+            { "town": "倉岳町棚底", "ranges": [{"start": 0.0, "end": 99999.0, "location": "棚底"}] },
+            { "town": "倉岳町宮田", "ranges": [
+                {"start": 1.0, "end": 1533.0, "location": "宮田"},
+                {"start": 1533.0, "end": 1534.0, "location": "棚底"},
+                {"start": 1534.0, "end": 3260.0, "location": "宮田"}, 
+                {"start": 3260.0, "end": 3600.0, "location": ["棚底", "宮田"]},
+                {"start": 3600.0, "end": 3820.0, "location": "宮田"},
+                {"start": 3820.0, "end": 3880.0, "location": ["棚底", "宮田"]},
+                {"start": 3880.0, "end": 99999.0, "location": "宮田"}
+            ]},
+            { "town": "倉岳町浦", "ranges": [
+                {"start": 1.0, "end": 400.0, "location": "棚底"},
+                {"start": 400.0, "end": 99999.0, "location": "浦"}
+            ]},
+            { "town": "栖本町馬場", "ranges": [{"start": 0.0, "end": 99999.0, "location": "馬場"}] },
+            { "town": "栖本町打田", "ranges": [{"start": 0.0, "end": 99999.0, "location": "馬場"}] },
+            { "town": "栖本町湯船原", "ranges": [{"start": 0.0, "end": 99999.0, "location": "馬場"}] },
+            { "town": "栖本町古江", "ranges": [
+                {"start": 1.0, "end": 800.0, "location": "馬場"},
+                {"start": 800.0, "end": 1400.0, "location": "宮田"}, 
+                {"start": 1400.0, "end": 99999.0, "location": "馬場"}
+            ]},
+            { "town": "栖本町河内", "ranges": [{"start": 0.0, "end": 99999.0, "location": "河内"}] },
+            { "town": "新和町小宮地", "ranges": [
+                {"start": 1.0, "end": 8700.0, "location": "小宮地"},
+                {"start": 8700.0, "end": 9500.0, "location": "中田"}, 
+                {"start": 9500.0, "end": 99999.0, "location": "立"}
+            ]},
+            { "town": "新和町大宮地", "ranges": [
+                {"start": 1.0, "end": 2100.0, "location": "小宮地"},
+                {"start": 2100.0, "end": 4007.0, "location": "宮地岳"}, 
+                {"start": 4007.0, "end": 5000.0, "location": "小宮地"},
+                {"start": 5000.0, "end": 99999.0, "location": "宮地岳"}
+            ]},
+            { "town": "新和町大多尾", "ranges": [
+                {"start": 1.0, "end": 4560.0, "location": "大多尾"},
+                {"start": 4560.0, "end": 5000.0, "location": "小宮地"}, 
+                {"start": 5000.0, "end": 99999.0, "location": "大多尾"}
+            ]},
+            {"town": "新和町碇石", "ranges": [
+                {"start": 1.0, "end": 1030.0, "location": "小宮地"},
+                {"start": 1030.0, "end": 99999.0, "location": "宮地岳"}
+            ]},
+            {"town": "新和町中田", "ranges": [{"start": 0.0, "end": 99999.0, "location": "中田"}] },
+            { "town": "五和町御領", "ranges": [
+                {"start": 1.0, "end": 8720.0, "location": "御領"},
+                {"start": 8720.0, "end": 10800.0, "location": "鬼池"}, 
+                {"start": 10800.0, "end": 12134.0, "location": "御領"},
+                {"start": 12134.0, "end": 12135.0, "location": "鬼池"},
+                {"start": 12135.0, "end": 99999.0, "location": "御領"}
+            ]},
+            { "town": "五和町鬼池", "ranges": [{"start": 0.0, "end": 99999.0, "location": "鬼池"}] },
+            { "town": "五和町二江", "ranges": [{"start": 0.0, "end": 99999.0, "location": "二江"}] },
+            { "town": "五和町手野一丁目", "ranges": [
+                {"start": 1.0, "end": 410.0, "location": "城河原"},
+                {"start": 410.0, "end": 99999.0, "location": "手野"}
+            ]},
+            { "town": "五和町手野二丁目", "ranges": [
+                {"start": 1.0, "end": 1081.0, "location": "手野"},
+                {"start": 1081.0, "end": 1410.0, "location": "二江"}, 
+                {"start": 1410.0, "end": 99999.0, "location": "手野"}
+            ]},
+            { "town": "五和町城河原一丁目", "ranges": [
+                {"start": 0.0, "end": 4106.0, "location": "城河原"},
+                {"start": 4106.0, "end": 4107.0, "location": "手野"},
+                {"start": 4107.0, "end": 4182.0, "location": "城河原"}, 
+                {"start": 4182.0, "end": 4183.0, "location": "手野"},
+                {"start": 4183.0, "end": 99999.0, "location": "城河原"}
+            ]},
+            { "town": "五和町城河原二丁目", "ranges": [
+                {"start": 0.0, "end": 99999.0, "location": "城河原"}
+            ]},
+            { "town": "五和町城河原三丁目", "ranges": [
+                {"start": 0.0, "end": 99999.0, "location": "城河原"}
+            ]},
+            { "town": "天草町高浜北", "ranges": [{"start": 0.0, "end": 99999.0, "location": "高浜"}] },
+            { "town": "天草町高浜南", "ranges": [{"start": 0.0, "end": 99999.0, "location": "高浜"}] },
+            { "town": "天草町大江", "ranges": [{"start": 0.0, "end": 99999.0, "location": "大江"}] },
+            { "town": "天草町大江軍ヶ浦", "ranges": [{"start": 0.0, "end": 99999.0, "location": "大江"}] },
+            { "town": "天草町下田北", "ranges": [
+                {"start": 1.0, "end": 40.0, "location": "福連木"},
+                {"start": 40.0, "end": 99999.0, "location": "下田"}
+            ]},
+            { "town": "天草町下田南", "ranges": [
+                {"start": 1.0, "end": 400.0, "location": "高浜"},
+                {"start": 400.0, "end": 99999.0, "location": "下田"}
+            ]},
+            { "town": "天草町福連木", "ranges": [{"start": 0.0, "end": 99999.0, "location": "福連木"}] },
+            { "town": "天草町大江向", "ranges": [
+                {"start": 1.0, "end": 100.0, "location": "亀浦"},
+                {"start": 100.0, "end": 99999.0, "location": "向辺田"}
+            ]},
+            { "town": "河浦町河浦", "ranges": [
+                {"start": 1.0, "end": 1150.0, "location": ["河浦", "板之河内"]},
+                {"start": 1150.0, "end": 99999.0, "location": "河浦"}
+            ]},
+            { "town": "河浦町崎津", "ranges": [{"start": 0.0, "end": 99999.0, "location": "崎津"}] },
+            { "town": "河浦町今富", "ranges": [
+                {"start": 1.0, "end": 1930.0, "location": "崎津"},
+                {"start": 1930.0, "end": 2060.0, "location": ["崎津", "亀浦"]}, 
+                {"start": 2060.0, "end": 99999.0, "location": "崎津"}
+            ]},
+            { "town": "河浦町新合", "ranges": [
+                {"start": 1.0, "end": 530.0, "location": "新合"},
+                {"start": 530.0, "end": 640.0, "location": ["新合", "河浦"]}, 
+                {"start": 640.0, "end": 99999.0, "location": "新合"}
+            ]},
+            { "town": "河浦町立原", "ranges": [{"start": 0.0, "end": 99999.0, "location": "新合"}] },
+            { "town": "河浦町今田", "ranges": [{"start": 0.0, "end": 99999.0, "location": ["河浦", "板之河内"]}] },
+            { "town": "河浦町白木河内", "ranges": [
+                {"start": 1.0, "end": 90.0, "location": "古江"},
+                {"start": 90.0, "end": 1000.0, "location": "河浦"}, 
+                {"start": 1000.0, "end": 1851.0, "location": "新合"},
+                {"start": 1851.0, "end": 2168.0, "location": "河浦"}, 
+                {"start": 2168.0, "end": 99999.0, "location": "古江"}
+            ]},
+            { "town": "河浦町久留", "ranges": [{"start": 0.0, "end": 99999.0, "location": "古江"}] },
+            { "town": "河浦町路木", "ranges": [{"start": 0.0, "end": 99999.0, "location": "古江"}] },
+            { "town": "河浦町宮野河内", "ranges": [
+                {"start": 1.0, "end": 1150.0, "location": ["宮野河内", "中田"]},
+                {"start": 1150.0, "end": 99999.0, "location": "宮野河内"}
+            ]}
+        ],
+        "districtRules": [
+            {
+                "name": "東・浄南・太田町以外",
+                // 本渡市街地のうち、東町・浄南町・太田町以外の町名（施設データの住所と住居表示の町名から作成）
+                // 住居表示の町名一覧と突き合わせて確認し、漏れている町名は追加すること
+                "towns": [
+                    "東浜町", "港町", "今釜町", "今釜新町", "川原町", "浜崎町", "船之尾町", "南町", "南新町",
+                    "中央新町", "大浜町", "北原町", "丸尾町", "中村町", "諏訪町", "栄町", "小松原町", "古川町",
+                    "北浜町", "城下町", "山の手町", "川原新町", "八幡町"
+                ],
+                "excludes": ["東町", "浄南町", "太田町"],
+                "location": "本渡"
+            }
+        ]
+    }
 ];
+
+// --- 町名の読み (オートコンプリート・候補表示用) ---
+// TRAVEL_POINTS_DATA の町名（地区の規則の対象町名を含む）に対応するひらがな読み。ローマ字はこの読みから生成する
+const TOWN_READINGS = {
+    "東町": "ひがしまち",
+    "浄南町": "じょうなんまち",
+    "太田町": "おおたまち",
+    "旭町": "あさひまち",
+    "瀬戸町": "せとまち",
+    "本渡町本渡": "ほんどまちほんど",
+    "本渡町広瀬": "ほんどまちひろせ",
+    "本渡町本戸馬場": "ほんどまちほんどばば",
+    "本渡町本泉": "ほんどまちほんいずみ",
+    "佐伊津町": "さいつまち",
+    "本町本": "ほんまちほん",
+    "本町新休": "ほんまちしんやすみ",
+    "本町下河内": "ほんまちしもごうち",
+    "亀場町亀川": "かめばまちかめかわ",
+    "亀場町食場": "かめばまちじきば",
+    "枦宇土町": "はぜうとまち",
+    "楠浦町": "くすうらまち",
+    "宮地岳町": "みやじだけまち",
+    "志柿町": "しかきまち",
+    "下浦町": "しもうらまち",
+    "牛深町": "うしぶかまち",
+    "魚貫町": "おにきまち",
+    "二浦町早浦": "ふたうらまちはやうら",
+    "二浦町亀浦": "ふたうらまちかめうら",
+    "久玉町": "くたままち",
+    "深海町": "ふかみまち",
+    "有明町赤崎": "ありあけまちあかさき",
+    "有明町須子": "ありあけまちすじ",
+    "有明町大浦": "ありあけまちおおうら",
+    "有明町楠甫": "ありあけまちくすほ",
+    "有明町上津浦": "ありあけまちこうつうら",
+    "有明町下津浦": "ありあけまちしもつうら",
+    "有明町大島子": "ありあけまちおおしまご",
+    "有明町小島子": "ありあけまちこしまご",
+    "御所浦町御所浦": "ごしょうらまちごしょうら",
+    "御所浦町牧島": "ごしょうらまちまきしま",
+    "御所浦町横浦": "ごしょうらまちよこうら",
+    "倉岳町棚底": "くらたけまちたなそこ",
+    "倉岳町宮田": "くらたけまちみやだ",
+    "倉岳町浦": "くらたけまちうら",
+    "栖本町馬場": "すもとまちばば",
+    "栖本町打田": "すもとまちうちだ",
+    "栖本町湯船原": "すもとまちゆふねばる",
+    "栖本町古江": "すもとまちふるえ",
+    "栖本町河内": "すもとまちかわち",
+    "新和町小宮地": "しんわまちこみやじ",
+    "新和町大宮地": "しんわまちおおみやじ",
+    "新和町大多尾": "しんわまちおおたお",
+    "新和町碇石": "しんわまちいかりいし",
+    "新和町中田": "しんわまちなかた",
+    "五和町御領": "いつわまちごりょう",
+    "五和町鬼池": "いつわまちおにいけ",
+    "五和町二江": "いつわまちふたえ",
+    "五和町手野一丁目": "いつわまちてのいっちょうめ",
+    "五和町手野二丁目": "いつわまちてのにちょうめ",
+    "五和町城河原一丁目": "いつわまちじょうがわらいっちょうめ",
+    "五和町城河原二丁目": "いつわまちじょうがわらにちょうめ",
+    "五和町城河原三丁目": "いつわまちじょうがわらさんちょうめ",
+    "天草町高浜北": "あまくさまちたかはまきた",
+    "天草町高浜南": "あまくさまちたかはまみなみ",
+    "天草町大江": "あまくさまちおおえ",
+    "天草町大江軍ヶ浦": "あまくさまちおおえいくさがうら",
+    "天草町下田北": "あまくさまちしもだきた",
+    "天草町下田南": "あまくさまちしもだみなみ",
+    "天草町福連木": "あまくさまちふくれぎ",
+    "天草町大江向": "あまくさまちおおえむかえ",
+    "河浦町河浦": "かわうらまちかわうら",
+    "河浦町崎津": "かわうらまちさきつ",
+    "河浦町今富": "かわうらまちいまとみ",
+    "河浦町新合": "かわうらまちしんごう",
+    "河浦町立原": "かわうらまちたちばる",
+    "河浦町今田": "かわうらまちいまだ",
+    "河浦町白木河内": "かわうらまちしらきがわち",
+    "河浦町久留": "かわうらまちひさどめ",
+    "河浦町路木": "かわうらまちろぎ",
+    "河浦町宮野河内": "かわうらまちみやのかわち",
+    // 地区の規則「東・浄南・太田町以外」の対象町名
+    "東浜町": "ひがしはままち",
+    "港町": "みなとまち",
+    "今釜町": "いまがままち",
+    "今釜新町": "いまがましんまち",
+    "川原町": "かわらまち",
+    "浜崎町": "はまさきまち",
+    "船之尾町": "ふなのおまち",
+    "南町": "みなみまち",
+    "南新町": "みなみしんまち",
+    "中央新町": "ちゅうおうしんまち",
+    "大浜町": "おおはままち",
+    "北原町": "きたはらまち",
+    "丸尾町": "まるおまち",
+    "中村町": "なかむらまち",
+    "諏訪町": "すわまち",
+    "栄町": "さかえまち",
+    "小松原町": "こまつばらまち",
+    "古川町": "ふるかわまち",
+    "北浜町": "きたはままち",
+    "城下町": "じょうかまち",
+    "山の手町": "やまのてまち",
+    "川原新町": "かわらしんまち",
+    "八幡町": "はちまんまち"
+};
+
+// --- 旧住所表記の読み替え ---
+// 合併（2006-03-27）前の住所表記を、TRAVEL_POINTS_DATA の町名に読み替えるための表
+// prefixes: 住所の先頭の旧市町名（from）を現在の表記（to）に置き換える。長い表記から順に照合する
+// ※ 改称された大字の読み替えは未対応（町名変更の告示等で確認できる資料がないため、表を設けていない）
+const TOWN_ALIASES = {
+    "prefixes": [
+        { "from": "本渡市", "to": "" },
+        { "from": "牛深市", "to": "" },
+        { "from": "天草郡有明町", "to": "有明町" },
+        { "from": "天草郡御所浦町", "to": "御所浦町" },
+        { "from": "天草郡倉岳町", "to": "倉岳町" },
+        { "from": "天草郡栖本町", "to": "栖本町" },
+        { "from": "天草郡新和町", "to": "新和町" },
+        { "from": "天草郡五和町", "to": "五和町" },
+        { "from": "天草郡天草町", "to": "天草町" },
+        { "from": "天草郡河浦町", "to": "河浦町" }
+    ]
+};
+
+// --- 判定の設定 ---
+// 地番範囲の境界付近の警告: 地番（本番）と境界の差がこの値以内なら、隣接する範囲とあわせて警告する
+// （例: 河浦町白木河内の 1851・2168 付近）。0 にすると境界ちょうどの地番のみ警告する
+const BOUNDARY_WARNING_DISTANCE = 10;
+
+// --- 旅費計算の設定 ---
+// 地点間距離表 (km, 片道)。キーは「地点名|地点名」で、逆方向も同じ距離として扱う
+// ※ 旅費規程の距離表から転記すること。未登録の区間は画面で距離を手入力する
+const DISTANCE_TABLE = {
+    // 例: "本渡|牛深": 0.0,
+};
+
+// 旅費計算ルール
+// ※ 天草市の旅費条例・規則の規定値を転記し、source に転記元を記入すること
+//    source が null の間、または単価・日当が未記入の間は金額を計算しない（距離のみ表示する）
+const TRAVEL_RATE_RULES = {
+    // 転記元（例: "天草市職員等の旅費に関する条例 別表（令和○年○月○日改正）"）
+    source: null,
+    // 車賃（1kmあたりの単価、円）。端数は円未満切り捨て
+    carAllowancePerKm: null,
+    // 日当の区分（片道距離がこの距離以上の場合に適用。距離の大きい順に判定）
+    // 例: { minDistanceKm: 0, amount: 0, label: "片道○km未満" }
+    dailyAllowanceTiers: [
+    ],
+    // 半日の用務（この時間以内）は日当に halfDayRate を乗じる
+    halfDayMaxHours: null,
+    halfDayRate: null
+};
+
+// Node から require('./data.js') で読み込めるようにする（ブラウザでは <script> で読み込み、グローバルとして使用する）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FACILITY_DATA: FACILITY_DATA,
+        TRAVEL_POINTS_DATA: TRAVEL_POINTS_DATA,
+        TOWN_READINGS: TOWN_READINGS,
+        TOWN_ALIASES: TOWN_ALIASES,
+        BOUNDARY_WARNING_DISTANCE: BOUNDARY_WARNING_DISTANCE,
+        DISTANCE_TABLE: DISTANCE_TABLE,
+        TRAVEL_RATE_RULES: TRAVEL_RATE_RULES
+    };
+}
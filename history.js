@@ -0,0 +1,224 @@
+// --- 検索履歴・お気に入り ---
+// 検索結果（displayResult で表示したもの）を localStorage に保存し、ワンクリックで再検索できるようにする
+// 保存した結果と、現在のデータで判定し直した結果が異なる場合は印を付けて知らせる
+
+const SEARCH_HISTORY_STORAGE_KEY = 'amakusa-travel-point-finder.searchHistory';
+
+// 検索履歴として残す件数（お気に入りは件数を制限しない）
+const SEARCH_HISTORY_LIMIT = 30;
+
+function loadSearchHistory() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SEARCH_HISTORY_STORAGE_KEY)) || {};
+        return { history: stored.history || [], favorites: stored.favorites || [] };
+    } catch (e) {
+        return { history: [], favorites: [] };
+    }
+}
+
+function saveSearchHistory(data) {
+    try {
+        localStorage.setItem(SEARCH_HISTORY_STORAGE_KEY, JSON.stringify(data));
+    } catch (e) {
+        // 保存できない環境（プライベートブラウズ等）では履歴を残さない
+    }
+}
+
+/**
+ * 検索条件から、同じ検索かどうかを判定するためのキーを作る
+ */
+function getSearchStateKey(state) {
+    return URL_SEARCH_KEYS.map(key => state[key] || '').join('|');
+}
+
+/**
+ * 検索条件と表示した結果から、履歴に保存する1件分を作る
+ */
+function createHistoryEntry(state, displayed) {
+    const result = displayed.result;
+    return {
+        key: getSearchStateKey(state),
+        state: state,
+        input: displayed.input,
+        status: result.status,
+        point: formatResultPoint(result),
+        matchedTown: result.matchedTown || null,
+        rangeStr: result.rangeStr || null,
+        asOfDate: result.asOfDate || null,
+        dataVersion: result.dataVersion || null,
+        selection: result.selection || null,
+        searchedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * 検索結果を履歴の先頭に追加する。同じ検索条件の履歴・お気に入りは最新の結果に置き換える
+ */
+function addSearchHistory(state, displayed) {
+    if (!displayed) return;
+
+    const data = loadSearchHistory();
+    const entry = createHistoryEntry(state, displayed);
+
+    data.history = [entry].concat(data.history.filter(e => e.key !== entry.key)).slice(0, SEARCH_HISTORY_LIMIT);
+    data.favorites = data.favorites.map(e => e.key === entry.key ? entry : e);
+
+    saveSearchHistory(data);
+    renderSearchHistory();
+}
+
+/**
+ * 複数地点から選択した地点と理由を、同じ検索条件の履歴・お気に入りに記録する
+ * @param {{state: object, result: object}} displayed 表示中の検索結果（recordSearch で state を記録したもの）
+ */
+function updateSearchHistorySelection(displayed) {
+    if (!displayed || !displayed.state) return;
+
+    const key = getSearchStateKey(displayed.state);
+    const data = loadSearchHistory();
+    const update = (e) => e.key === key ? Object.assign({}, e, { selection: displayed.result.selection || null }) : e;
+    data.history = data.history.map(update);
+    data.favorites = data.favorites.map(update);
+
+    saveSearchHistory(data);
+    renderSearchHistory();
+}
+
+/**
+ * 保存した結果と、現在のデータで判定し直した結果を比べる
+ * @returns {string|null} 地点が変わっていれば現在の判定結果、変わっていなければ null
+ */
+function getChangedPoint(entry) {
+    let current;
+    try {
+        current = resolveSearchState(entry.state);
+    } catch (e) {
+        return null;
+    }
+    const currentPoint = formatResultPoint(current);
+    return currentPoint !== entry.point ? currentPoint : null;
+}
+
+function toggleFavoriteSearch(key) {
+    const data = loadSearchHistory();
+
+    if (data.favorites.some(e => e.key === key)) {
+        data.favorites = data.favorites.filter(e => e.key !== key);
+    } else {
+        const entry = data.history.find(e => e.key === key);
+        if (!entry) return;
+        data.favorites.push(entry);
+    }
+
+    saveSearchHistory(data);
+    renderSearchHistory();
+}
+
+function rerunHistorySearch(key) {
+    const data = loadSearchHistory();
+    const entry = data.favorites.concat(data.history).find(e => e.key === key);
+    if (!entry) return;
+
+    applySearchState(entry.state);
+    // 保存した地点の選択は、現在のデータでも候補に含まれる場合のみ復元する
+    if (entry.selection && currentResult && currentResult.result.candidates.includes(entry.selection.point)) {
+        applyCandidateSelection(entry.selection);
+    }
+}
+
+function removeHistoryEntry(key) {
+    const data = loadSearchHistory();
+    data.history = data.history.filter(e => e.key !== key);
+    saveSearchHistory(data);
+    renderSearchHistory();
+}
+
+function clearSearchHistory() {
+    if (!confirm("検索履歴をすべて消去しますか？（お気に入りは残ります）")) return;
+
+    const data = loadSearchHistory();
+    data.history = [];
+    saveSearchHistory(data);
+    renderSearchHistory();
+}
+
+
+// --- 検索履歴・お気に入り UI ---
+
+/**
+ * 履歴1件分の表示を作る
+ * @param {boolean} isFavoriteList - お気に入り一覧に表示する場合は true（削除ボタンを出さない）
+ */
+function createHistoryItem(entry, isFavoriteList, favoriteKeys) {
+    const item = document.createElement('li');
+    const changedPoint = getChangedPoint(entry);
+    if (changedPoint !== null) item.classList.add('history-changed');
+
+    const input = document.createElement('span');
+    input.className = 'history-input';
+    input.textContent = entry.input;
+
+    const point = document.createElement('span');
+    point.className = 'history-point' + (isResultError(entry) ? ' error-point-color' : '');
+    point.textContent = entry.selection ? `${entry.point}（適用: ${entry.selection.point}）` : entry.point;
+
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    meta.textContent = [
+        new Date(entry.searchedAt).toLocaleString('ja-JP'),
+        entry.dataVersion ? `データ版: ${formatDataVersion(entry.dataVersion)}` : ''
+    ].filter(Boolean).join(' / ');
+
+    item.append(input, point, meta);
+
+    if (changedPoint !== null) {
+        const warning = document.createElement('span');
+        warning.className = 'history-warning';
+        warning.textContent = `※ 現在のデータでは「${changedPoint}」と判定されます。再検索して確認してください。`;
+        item.appendChild(warning);
+    }
+
+    const buttons = document.createElement('span');
+    buttons.className = 'history-buttons';
+
+    const rerunButton = document.createElement('button');
+    rerunButton.textContent = '再検索';
+    rerunButton.addEventListener('click', () => rerunHistorySearch(entry.key));
+
+    const isFavorite = favoriteKeys.includes(entry.key);
+    const favoriteButton = document.createElement('button');
+    favoriteButton.textContent = isFavorite ? '★' : '☆';
+    favoriteButton.title = isFavorite ? 'お気に入りから外す' : 'お気に入りに追加';
+    favoriteButton.setAttribute('aria-pressed', String(isFavorite));
+    favoriteButton.addEventListener('click', () => toggleFavoriteSearch(entry.key));
+
+    buttons.append(rerunButton, favoriteButton);
+
+    if (!isFavoriteList) {
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '削除';
+        removeButton.addEventListener('click', () => removeHistoryEntry(entry.key));
+        buttons.appendChild(removeButton);
+    }
+
+    item.appendChild(buttons);
+    return item;
+}
+
+function renderSearchHistory() {
+    const data = loadSearchHistory();
+    const favoriteKeys = data.favorites.map(e => e.key);
+    const favoriteList = document.getElementById('favorite-list');
+    const historyList = document.getElementById('history-list');
+
+    favoriteList.innerHTML = '';
+    data.favorites.forEach(entry => favoriteList.appendChild(createHistoryItem(entry, true, favoriteKeys)));
+    historyList.innerHTML = '';
+    data.history.forEach(entry => historyList.appendChild(createHistoryItem(entry, false, favoriteKeys)));
+
+    document.getElementById('favorite-section').classList.toggle('hidden', data.favorites.length === 0);
+    document.getElementById('history-section').classList.toggle('hidden', data.history.length === 0);
+    document.getElementById('history-area').classList.toggle('hidden', data.favorites.length + data.history.length === 0);
+}
+
+window.addEventListener('load', renderSearchHistory);
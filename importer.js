@@ -0,0 +1,321 @@
+// --- 元データ（CSV）の取り込み ---
+// 地点目安.csv・一覧表（CSV書き出し）から TRAVEL_POINTS_DATA / FACILITY_DATA と同じ構造のデータを作る
+// 取り込んだデータは新しい版として追加し、localStorage に保存して次回以降も使用する
+// ※ CSVの解析には batch.js の parseCsv / decodeCsvBuffer を使用する
+
+// 地点目安CSVの列見出し（いずれかの名前で認識する）
+const IMPORT_TRAVEL_POINT_HEADERS = {
+    town: ['町名', '町', 'town'],
+    start: ['開始地番', '開始', 'start'],
+    end: ['終了地番', '終了', 'end'],
+    location: ['地点', '旅費算定地点', 'location']
+};
+
+// 施設一覧CSVの列見出し
+const IMPORT_FACILITY_HEADERS = {
+    name: ['施設名', '名称', 'name'],
+    address: ['住所', '所在地', 'address']
+};
+
+// 開始・終了地番が空欄の場合に使う値（data.js と同じ扱い）
+const IMPORT_DEFAULT_START = 0.0;
+const IMPORT_DEFAULT_END = 99999.0;
+
+const IMPORTED_DATA_STORAGE_KEY = 'amakusa-travel-point-finder.importedData';
+
+/**
+ * 見出し行から各列の位置を求める。見つからない列があれば missing に列名を入れる
+ */
+function findImportColumns(headerRow, headerDefinitions) {
+    const normalized = headerRow.map(value => value.trim().toLowerCase());
+    const columns = {};
+    const missing = [];
+
+    Object.keys(headerDefinitions).forEach(key => {
+        const index = normalized.findIndex(value => headerDefinitions[key].includes(value));
+        if (index < 0) missing.push(headerDefinitions[key][0]);
+        columns[key] = index;
+    });
+
+    return { columns, missing };
+}
+
+/**
+ * CSVの地番セルを data.js の境界値の表記にする
+ * 本番のみなら数値（例: 1150）、枝番があれば文字列（例: "1150-3"）。解釈できなければ null
+ */
+function parseImportBoundary(value, defaultValue) {
+    const str = normalizeLotString(value).replace(/\.0+$/, '');
+    if (str === '') return defaultValue;
+    if (!/^\d+(?:(?:番地|番|号|の|[-－ー−‐])\d+)*(?:番地|番|号)?$/.test(str)) return null;
+
+    const lot = parseLotNumber(str);
+    return lot.branches.length === 0 ? lot.main : formatLotNumber(lot);
+}
+
+/**
+ * CSVの地点セルを data.js の location の表記にする
+ * 「本渡or亀場」「牛深 OR 魚貫」「本渡/亀場」のような複数地点は配列にする
+ */
+function parseImportLocation(value) {
+    const parts = value.split(/\s*(?:or|OR|Or|／|\/)\s*/).map(p => p.trim()).filter(p => p.length > 0);
+    return parts.length > 1 ? parts : (parts[0] || '');
+}
+
+/**
+ * 地点目安CSVを旅費地点データ（entries）に変換する
+ * 同じ町名の行は、CSVの順に1つの町名の範囲としてまとめる
+ * @param {Array<string[]>} rows parseCsv の結果（1行目は見出し。row.lineNumber をエラーの行番号に使う）
+ * @returns {{entries: Array, errors: Array<{row: number, message: string}>}}
+ */
+function importTravelPointsRows(rows) {
+    const errors = [];
+    if (rows.length === 0) {
+        return { entries: [], errors: [{ row: 0, message: 'CSVが空です。' }] };
+    }
+
+    const { columns, missing } = findImportColumns(rows[0], IMPORT_TRAVEL_POINT_HEADERS);
+    if (missing.length > 0) {
+        return { entries: [], errors: [{ row: rows[0].lineNumber, message: `見出し行に必要な列がありません: ${missing.join('、')}` }] };
+    }
+
+    const entriesByTown = new Map();
+
+    rows.slice(1).forEach(row => {
+        const rowNumber = row.lineNumber;
+        const town = normalizeTownName((row[columns.town] || '').trim());
+        const startStr = (row[columns.start] || '').trim();
+        const endStr = (row[columns.end] || '').trim();
+        const location = parseImportLocation((row[columns.location] || '').trim());
+
+        const rowErrors = [];
+        if (!town) rowErrors.push('町名が空欄です。');
+
+        const start = parseImportBoundary(startStr, IMPORT_DEFAULT_START);
+        const end = parseImportBoundary(endStr, IMPORT_DEFAULT_END);
+        if (start === null) rowErrors.push(`開始地番「${startStr}」を地番として解釈できません。`);
+        if (end === null) rowErrors.push(`終了地番「${endStr}」を地番として解釈できません。`);
+        if (start !== null && end !== null && compareLotNumbers(toLotNumber(start), toLotNumber(end)) >= 0) {
+            rowErrors.push(`開始地番（${start}）が終了地番（${end}）以上です。`);
+        }
+        if (!location || (Array.isArray(location) && location.length === 0)) rowErrors.push('地点が空欄です。');
+
+        if (rowErrors.length > 0) {
+            rowErrors.forEach(message => errors.push({ row: rowNumber, message }));
+            return;
+        }
+
+        if (!entriesByTown.has(town)) {
+            entriesByTown.set(town, { town: town, ranges: [] });
+        }
+        entriesByTown.get(town).ranges.push({ start: start, end: end, location: location });
+    });
+
+    const entries = Array.from(entriesByTown.values());
+
+    // 行単位では問題がなくても、町名ごとの範囲の重なり・すき間は validator.js で検出する
+    validateTravelPointsData(entries)
+        .filter(issue => issue.level === 'error')
+        .forEach(issue => errors.push({ row: null, message: `${issue.target}: ${issue.message}` }));
+
+    return { entries, errors };
+}
+
+/**
+ * 施設一覧CSVを施設データに変換する
+ * @returns {{facilities: Array<{name: string, address: string}>, errors: Array<{row: number, message: string}>}}
+ */
+function importFacilityRows(rows) {
+    const errors = [];
+    if (rows.length === 0) {
+        return { facilities: [], errors: [{ row: 0, message: 'CSVが空です。' }] };
+    }
+
+    const { columns, missing } = findImportColumns(rows[0], IMPORT_FACILITY_HEADERS);
+    if (missing.length > 0) {
+        return { facilities: [], errors: [{ row: rows[0].lineNumber, message: `見出し行に必要な列がありません: ${missing.join('、')}` }] };
+    }
+
+    const facilities = [];
+    rows.slice(1).forEach(row => {
+        const rowNumber = row.lineNumber;
+        const name = (row[columns.name] || '').trim();
+        const address = (row[columns.address] || '').trim();
+
+        if (!name) errors.push({ row: rowNumber, message: '施設名が空欄です。' });
+        if (!address) errors.push({ row: rowNumber, message: '住所が空欄です。' });
+        if (!name || !address) return;
+
+        const addressParts = parseAddress(address);
+        if (!addressParts.townName || !parseLotNumber(addressParts.houseNumber)) {
+            errors.push({ row: rowNumber, message: `住所「${address}」から町名・地番を読み取れません。` });
+            return;
+        }
+        facilities.push({ name: name, address: address });
+    });
+
+    return { facilities, errors };
+}
+
+/**
+ * 取り込んだ旅費地点データを新しい版として追加する
+ * 同じ版名または同じ施行日の版がある場合は置き換える
+ * 地区の規則（districtRules）はCSVに含まれないため、施行日の時点で適用されていた版のものを引き継ぐ
+ */
+function applyImportedTravelPoints(version, effectiveFrom, entries) {
+    const index = TRAVEL_POINTS_DATA.findIndex(v => v.version === version || v.effectiveFrom === effectiveFrom);
+    const dataVersion = {
+        version: version,
+        effectiveFrom: effectiveFrom,
+        entries: entries,
+        districtRules: getDistrictRules(getDataVersion(effectiveFrom)),
+        imported: true
+    };
+
+    if (index >= 0) {
+        TRAVEL_POINTS_DATA.splice(index, 1, dataVersion);
+    } else {
+        TRAVEL_POINTS_DATA.push(dataVersion);
+    }
+}
+
+/**
+ * 取り込んだ施設データで FACILITY_DATA を置き換える（const のため中身を入れ替える）
+ */
+function applyImportedFacilities(facilities) {
+    FACILITY_DATA.splice(0, FACILITY_DATA.length, ...facilities);
+}
+
+function loadImportedData() {
+    try {
+        return JSON.parse(localStorage.getItem(IMPORTED_DATA_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveImportedData(data) {
+    localStorage.setItem(IMPORTED_DATA_STORAGE_KEY, JSON.stringify(data));
+}
+
+/**
+ * 保存済みの取り込みデータを反映する
+ * 施設のドロップリスト作成（initializeApp）より前に反映するため、読み込み時に実行する
+ */
+function restoreImportedData() {
+    const stored = loadImportedData();
+
+    if (stored.travelPoints) {
+        const imported = importTravelPointsRows(parseCsv(stored.travelPoints.csv));
+        if (imported.errors.length === 0) {
+            applyImportedTravelPoints(stored.travelPoints.version, stored.travelPoints.effectiveFrom, imported.entries);
+        }
+    }
+    if (stored.facilities) {
+        const imported = importFacilityRows(parseCsv(stored.facilities.csv));
+        if (imported.errors.length === 0) {
+            applyImportedFacilities(imported.facilities);
+        }
+    }
+}
+
+
+// --- 取り込み UI ---
+
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(decodeCsvBuffer(reader.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+function displayImportErrors(title, errors) {
+    const report = document.getElementById('import-report');
+    if (errors.length === 0) {
+        report.textContent = title;
+        return;
+    }
+    report.textContent = [`${title}（${errors.length}件の問題があるため取り込みませんでした）`]
+        .concat(errors.map(error => (error.row ? `${error.row}行目: ` : '') + error.message))
+        .join('\n');
+}
+
+function importTravelPointsFile() {
+    const file = document.getElementById('import-travel-points-file').files[0];
+    const version = document.getElementById('import-version').value.trim();
+    const effectiveFrom = document.getElementById('import-effective-from').value;
+
+    if (!file || !version || !effectiveFrom) {
+        alert("地点目安CSV・版名・施行日を指定してください。");
+        return;
+    }
+
+    readFileAsText(file).then(csv => {
+        const imported = importTravelPointsRows(parseCsv(csv));
+        if (imported.errors.length > 0) {
+            displayImportErrors(`${file.name}: 取り込みエラー`, imported.errors);
+            return;
+        }
+
+        applyImportedTravelPoints(version, effectiveFrom, imported.entries);
+        const stored = loadImportedData();
+        stored.travelPoints = { version: version, effectiveFrom: effectiveFrom, csv: csv, fileName: file.name };
+        saveImportedData(stored);
+
+        displayImportErrors(`${file.name}: ${imported.entries.length}町名を版「${version}」（${effectiveFrom} 施行）として取り込みました。`, []);
+        runDiagnostics();
+    }).catch(() => alert("ファイルを読み込めませんでした。"));
+}
+
+function importFacilitiesFile() {
+    const file = document.getElementById('import-facilities-file').files[0];
+    if (!file) {
+        alert("施設一覧CSVを指定してください。");
+        return;
+    }
+
+    readFileAsText(file).then(csv => {
+        const imported = importFacilityRows(parseCsv(csv));
+        if (imported.errors.length > 0) {
+            displayImportErrors(`${file.name}: 取り込みエラー`, imported.errors);
+            return;
+        }
+
+        applyImportedFacilities(imported.facilities);
+        const stored = loadImportedData();
+        stored.facilities = { csv: csv, fileName: file.name };
+        saveImportedData(stored);
+
+        populateFacilityPicker();
+        populateItineraryFacilityList();
+        displayImportErrors(`${file.name}: ${imported.facilities.length}件の施設を取り込みました。`, []);
+        runDiagnostics();
+    }).catch(() => alert("ファイルを読み込めませんでした。"));
+}
+
+/**
+ * 取り込んだデータを破棄し、data.js のデータに戻す（再読み込みで反映）
+ */
+function clearImportedData() {
+    if (!confirm("取り込んだデータを破棄して、標準のデータに戻しますか？")) return;
+    localStorage.removeItem(IMPORTED_DATA_STORAGE_KEY);
+    window.location.reload();
+}
+
+function displayImportStatus() {
+    const stored = loadImportedData();
+    const lines = [];
+    if (stored.travelPoints) {
+        lines.push(`地点目安: ${stored.travelPoints.fileName || 'CSV'}（版「${stored.travelPoints.version}」${stored.travelPoints.effectiveFrom} 施行）`);
+    }
+    if (stored.facilities) {
+        lines.push(`施設一覧: ${stored.facilities.fileName || 'CSV'}`);
+    }
+    document.getElementById('import-status').textContent =
+        lines.length > 0 ? `取り込み済み: ${lines.join(' / ')}` : '取り込み済みのデータはありません（data.js のデータを使用中）。';
+}
+
+restoreImportedData();
+window.addEventListener('load', displayImportStatus);
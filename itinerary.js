@@ -0,0 +1,242 @@
+// --- 行程（複数の用務先）---
+// 1回の出張で訪れる用務先（住所または施設）を順に入力し、区間ごとに出発地と到着地の旅費地点を一覧にする
+// 地点を特定できない用務先・複数地点から選択が必要な用務先を含む区間には印を付ける
+
+// 出力CSVの列
+const ITINERARY_RESULT_COLUMNS = ['区間', '出発地', '出発地の地点', '到着地', '到着地の地点', '状態', '確認事項', '判定基準日', 'データ版'];
+
+// 用務先の入力方法
+const ITINERARY_STOP_TYPES = {
+    address: { label: '住所', placeholder: '例: 天草市牛深町1150-5' },
+    facility: { label: '施設', placeholder: '施設名（候補から選択）' }
+};
+
+// 直近に判定した行程
+let itineraryLegs = [];
+
+// 用務先の入力欄の id に使う連番
+let itineraryStopCount = 0;
+
+/**
+ * 用務先1件を判定する
+ * @param {{type: string, value: string}} stop type は 'address' または 'facility'
+ * @returns {{input: string, result: object}} input は表示用の用務先
+ */
+function resolveItineraryStop(stop, asOfDate) {
+    if (stop.type === 'facility') {
+        const facility = findFacilityForState({ facility: stop.value });
+        return facility
+            ? { input: facility.name, result: resolveFacility(facility, asOfDate) }
+            : { input: stop.value, result: unknownFacilityResult(stop.value) };
+    }
+    return { input: stop.value, result: resolveAddress(stop.value, asOfDate) };
+}
+
+/**
+ * 用務先を順に判定し、隣り合う用務先の組を区間とする
+ * 区間の状態は、出発地・到着地のどちらかが判定できなければ「エラー」、複数地点から選択が必要なら「要選択」
+ * @param {Array<{type: string, value: string}>} stops 訪れる順に並べた用務先（2件以上）
+ * @param {string} [asOfDate] 判定基準日（省略時は今日）
+ * @returns {Array<{leg: number, from: {input: string, result: object}, to: {input: string, result: object},
+ *                  status: string, issues: string[]}>}
+ */
+function resolveItinerary(stops, asOfDate) {
+    const resolved = stops.map(stop => resolveItineraryStop(stop, asOfDate));
+
+    const describeIssue = (stop) => {
+        if (isResultError(stop.result)) return `${stop.input}: ${getResultMessage(stop.result)}`;
+        if (stop.result.status === 'ambiguous') return `${stop.input}: 地点を ${stop.result.candidates.join('・')} から選択してください。`;
+        return null;
+    };
+
+    return resolved.slice(1).map((to, index) => {
+        const from = resolved[index];
+        const ends = [from, to];
+
+        let status = 'OK';
+        if (ends.some(stop => isResultError(stop.result))) status = 'エラー';
+        else if (ends.some(stop => stop.result.status === 'ambiguous')) status = '要選択';
+
+        return {
+            leg: index + 1,
+            from: from,
+            to: to,
+            status: status,
+            issues: ends.map(describeIssue).filter(Boolean)
+        };
+    });
+}
+
+function itineraryLegsToRows(legs) {
+    const version = (result) => result.dataVersion ? formatDataVersion(result.dataVersion) : '';
+    return [ITINERARY_RESULT_COLUMNS].concat(legs.map(leg => [
+        leg.leg,
+        leg.from.input,
+        formatResultPoint(leg.from.result),
+        leg.to.input,
+        formatResultPoint(leg.to.result),
+        leg.status,
+        leg.issues.join(' / '),
+        leg.to.result.asOfDate || leg.from.result.asOfDate || '',
+        version(leg.to.result) || version(leg.from.result)
+    ]));
+}
+
+
+// --- 行程 UI ---
+
+/**
+ * 用務先の入力欄を1行追加する
+ */
+function addItineraryStop(type = 'address', value = '') {
+    const id = `itinerary-stop-${++itineraryStopCount}`;
+    const row = document.createElement('li');
+    row.className = 'itinerary-stop';
+
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'itinerary-stop-type';
+    typeSelect.setAttribute('aria-label', '入力方法');
+    Object.keys(ITINERARY_STOP_TYPES).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = ITINERARY_STOP_TYPES[key].label;
+        typeSelect.appendChild(option);
+    });
+    typeSelect.value = type;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = id;
+    input.className = 'itinerary-stop-value';
+    input.value = value;
+    input.setAttribute('aria-label', '用務先');
+
+    const applyType = () => {
+        input.placeholder = ITINERARY_STOP_TYPES[typeSelect.value].placeholder;
+        if (typeSelect.value === 'facility') input.setAttribute('list', 'itinerary-facility-list');
+        else input.removeAttribute('list');
+    };
+    typeSelect.addEventListener('change', applyType);
+    applyType();
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.textContent = '削除';
+    removeButton.addEventListener('click', () => {
+        row.remove();
+        updateItineraryStopButtons();
+    });
+
+    row.append(typeSelect, input, removeButton);
+    document.getElementById('itinerary-stops').appendChild(row);
+    updateItineraryStopButtons();
+}
+
+/**
+ * 用務先の削除ボタンを、2件以下のときは押せないようにする（行程には出発地と到着地が必要なため）
+ */
+function updateItineraryStopButtons() {
+    const rows = document.querySelectorAll('#itinerary-stops .itinerary-stop');
+    rows.forEach(row => {
+        row.querySelector('button').disabled = rows.length <= 2;
+    });
+}
+
+/**
+ * 用務先の入力欄を2件（出発地・到着地）の空欄に戻す
+ */
+function resetItinerary() {
+    document.getElementById('itinerary-stops').innerHTML = '';
+    addItineraryStop('facility');
+    addItineraryStop();
+    itineraryLegs = [];
+    document.getElementById('itinerary-summary').textContent = '';
+    document.getElementById('itinerary-result-table').classList.add('hidden');
+    document.getElementById('itinerary-download').classList.add('hidden');
+}
+
+function searchItinerary() {
+    const rows = Array.from(document.querySelectorAll('#itinerary-stops .itinerary-stop'));
+    const inputIds = rows.map(row => row.querySelector('input').id);
+    const stops = rows.map(row => ({
+        type: row.querySelector('select').value,
+        value: row.querySelector('input').value.trim()
+    }));
+
+    clearFieldErrors(inputIds);
+    const emptyIds = inputIds.filter((id, index) => !stops[index].value);
+    if (emptyIds.length > 0) {
+        emptyIds.forEach(id => showFieldError(id, "用務先を入力してください。"));
+        document.getElementById(emptyIds[0]).focus();
+        return;
+    }
+
+    itineraryLegs = resolveItinerary(stops, getSelectedAsOfDate());
+    displayItinerary();
+}
+
+function displayItinerary() {
+    const summary = document.getElementById('itinerary-summary');
+    const table = document.getElementById('itinerary-result-table');
+    const tbody = table.querySelector('tbody');
+    tbody.innerHTML = '';
+
+    itineraryLegs.forEach(leg => {
+        const tr = document.createElement('tr');
+        tr.className = leg.status === 'エラー' ? 'batch-row-error' : (leg.status === '要選択' ? 'batch-row-ambiguous' : '');
+        [
+            leg.leg,
+            `${leg.from.input} → ${leg.to.input}`,
+            `${formatResultPoint(leg.from.result)} → ${formatResultPoint(leg.to.result)}`,
+            leg.issues.length > 0 ? `${leg.status}（${leg.issues.join(' / ')}）` : leg.status
+        ].forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+
+    const lastResult = itineraryLegs[itineraryLegs.length - 1].to.result;
+    const errorCount = itineraryLegs.filter(leg => leg.status === 'エラー').length;
+    const ambiguousCount = itineraryLegs.filter(leg => leg.status === '要選択').length;
+    summary.textContent = `${itineraryLegs.length}区間（エラー ${errorCount}件 / 要選択 ${ambiguousCount}件） 判定基準日: ${lastResult.asOfDate || toDateString(getSelectedAsOfDate())}` +
+        (lastResult.dataVersion ? ` / データ版: ${formatDataVersion(lastResult.dataVersion)}` : '');
+
+    table.classList.remove('hidden');
+    document.getElementById('itinerary-download').classList.remove('hidden');
+}
+
+/**
+ * 行程をCSVでダウンロードする
+ * @param {string} encoding 'utf-8'（BOM付き）または 'shift_jis'
+ */
+function downloadItinerary(encoding) {
+    if (itineraryLegs.length === 0) {
+        alert("先に行程を判定してください。");
+        return;
+    }
+
+    downloadCsvFile(itineraryLegsToRows(itineraryLegs), '旅費地点行程', encoding);
+}
+
+/**
+ * 施設名の候補（datalist）を作る
+ */
+function populateItineraryFacilityList() {
+    const list = document.getElementById('itinerary-facility-list');
+    list.innerHTML = '';
+    getSortedFacilities().forEach(facility => {
+        const option = document.createElement('option');
+        option.value = facility.name;
+        option.label = facility.address;
+        list.appendChild(option);
+    });
+}
+
+function initializeItinerary() {
+    populateItineraryFacilityList();
+    resetItinerary();
+}
+
+window.addEventListener('load', initializeItinerary);
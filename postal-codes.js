@@ -0,0 +1,116 @@
+// --- 郵便番号データ（天草市） ---
+// 天草市の郵便番号は 863-xxxx のほか、栖本・倉岳・有明（861-xxxx）と御所浦（866-xxxx）がある
+// 郵便番号（7桁の数字）と、その区域に含まれる町名（TRAVEL_POINTS_DATA・地区の規則の町名）の対応表
+// このファイルは tools/import-postal-codes.js で、日本郵便の郵便番号データ（KEN_ALL.CSV）から生成する。手で編集しないこと
+
+// 生成元のデータ
+const POSTAL_CODES_SOURCE = {"file":"KEN_ALL.CSV","generatedAt":"2026-10-19","note":"日本郵便 郵便番号データ（KEN_ALL.CSV）の天草市分。npm パッケージ jp-zipcode-lookup 0.3.5（2026-04-06 公開）の収録データから KEN_ALL.CSV の列構成に変換して入力した"};
+
+const POSTAL_CODES = {
+    "8616301": ["栖本町打田"],
+    "8616302": ["栖本町河内"],
+    "8616303": ["栖本町馬場"],
+    "8616304": ["栖本町古江"],
+    "8616305": ["栖本町湯船原"],
+    "8616401": ["倉岳町浦"],
+    "8616402": ["倉岳町棚底"],
+    "8616403": ["倉岳町宮田"],
+    "8616551": ["下浦町"],
+    "8617201": ["有明町赤崎"],
+    "8617202": ["有明町須子"],
+    "8617203": ["有明町大浦"],
+    "8617204": ["有明町楠甫"],
+    "8617311": ["有明町上津浦"],
+    "8617312": ["有明町下津浦"],
+    "8617313": ["有明町小島子"],
+    "8617314": ["有明町大島子"],
+    "8630001": ["本渡町広瀬"],
+    "8630002": ["本渡町本戸馬場"],
+    "8630003": ["本渡町本渡"],
+    "8630004": ["本渡町本泉"],
+    "8630005": ["本町新休"],
+    "8630006": ["本町下河内"],
+    "8630007": ["本町本"],
+    "8630011": ["北浜町"],
+    "8630012": ["今釜町"],
+    "8630013": ["今釜新町"],
+    "8630014": ["東浜町"],
+    "8630015": ["大浜町"],
+    "8630016": ["城下町"],
+    "8630017": ["船之尾町"],
+    "8630018": ["浜崎町"],
+    "8630019": ["小松原町"],
+    "8630021": ["港町"],
+    "8630022": ["栄町"],
+    "8630023": ["中央新町"],
+    "8630024": ["川原町"],
+    "8630025": ["古川町"],
+    "8630031": ["南新町"],
+    "8630032": ["太田町"],
+    "8630033": ["東町"],
+    "8630034": ["浄南町"],
+    "8630035": ["山の手町"],
+    "8630036": ["川原新町"],
+    "8630037": ["諏訪町"],
+    "8630038": ["南町"],
+    "8630041": ["志柿町"],
+    "8630042": ["瀬戸町"],
+    "8630043": ["亀場町亀川"],
+    "8630044": ["楠浦町"],
+    "8630045": ["枦宇土町"],
+    "8630046": ["亀場町食場"],
+    "8630047": ["八幡町"],
+    "8630048": ["中村町"],
+    "8630049": ["北原町"],
+    "8630050": ["丸尾町"],
+    "8630101": ["新和町小宮地"],
+    "8630102": ["新和町大多尾"],
+    "8630103": ["新和町大宮地"],
+    "8631111": ["新和町碇石"],
+    "8631112": ["新和町中田"],
+    "8631161": ["宮地岳町"],
+    "8631201": ["河浦町今田"],
+    "8631202": ["河浦町河浦"],
+    "8631203": ["河浦町今富"],
+    "8631204": ["河浦町崎津"],
+    "8631205": ["天草町高浜北"],
+    "8631211": ["河浦町立原"],
+    "8631212": ["河浦町宮野河内"],
+    "8631213": ["河浦町路木"],
+    "8631214": ["河浦町久留"],
+    "8631215": ["河浦町白木河内"],
+    "8631216": ["河浦町新合"],
+    "8631401": ["天草町大江向"],
+    "8631403": ["河浦町今富"],
+    "8631404": ["河浦町崎津"],
+    "8631431": ["二浦町早浦"],
+    "8631432": ["二浦町亀浦"],
+    "8631511": ["深海町"],
+    "8631721": ["魚貫町"],
+    "8631901": ["牛深町"],
+    "8631902": ["久玉町"],
+    "8632114": ["五和町城河原一丁目","五和町城河原二丁目","五和町城河原三丁目"],
+    "8632171": ["佐伊津町"],
+    "8632172": ["旭町"],
+    "8632201": ["五和町御領"],
+    "8632331": ["五和町鬼池"],
+    "8632421": ["五和町二江"],
+    "8632424": ["五和町手野一丁目","五和町手野二丁目"],
+    "8632801": ["天草町大江","天草町大江軍ヶ浦"],
+    "8632802": ["天草町下田南"],
+    "8632803": ["天草町下田北"],
+    "8632804": ["天草町高浜南"],
+    "8632805": ["天草町高浜北"],
+    "8632806": ["天草町福連木"],
+    "8660303": ["御所浦町横浦"],
+    "8660313": ["御所浦町御所浦"],
+    "8660334": ["御所浦町牧島"]
+};
+
+// Node から require('./postal-codes.js') で読み込めるようにする（ブラウザでは <script> で読み込み、グローバルとして使用する）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        POSTAL_CODES_SOURCE: POSTAL_CODES_SOURCE,
+        POSTAL_CODES: POSTAL_CODES
+    };
+}
@@ -0,0 +1,110 @@
+// --- 郵便番号からの町名の絞り込み ---
+// 郵便番号（postal-codes.js）から区域内の町名を示し、町名欄の候補をその町名に絞り込む
+// 区域内の町名によって旅費地点が異なる場合は、大字（町名）の確認を促す
+
+// 住所検索で入力された郵便番号の区域（lookupPostalCode の結果）。未入力なら null
+let postalCodeArea = null;
+
+/**
+ * 町名欄の候補に使う町名の一覧（getKnownTowns の形式）を返す
+ * 郵便番号で絞り込んでいなければ undefined（suggestTowns の既定の一覧を使う）
+ */
+function getPostalCodeTownEntries() {
+    if (!postalCodeArea || postalCodeArea.towns.length === 0) return undefined;
+
+    const towns = postalCodeArea.towns.map(t => t.town);
+    return getKnownTowns(getDataVersion(getSelectedAsOfDate())).filter(entry => towns.includes(entry.town));
+}
+
+/**
+ * 郵便番号の区域の町名と地点を表示する
+ * @param {string} containerId 表示先の要素
+ * @param {function(string)} onChooseTown 町名を選んだときの処理
+ * @param {string} [parsedTown] 住所から解析した町名（区域内にない場合に知らせる）
+ */
+function renderPostalCodeInfo(containerId, lookup, onChooseTown, parsedTown) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+    container.classList.toggle('hidden', !lookup);
+    if (!lookup) return;
+
+    const message = document.createElement('p');
+    container.appendChild(message);
+    const code = `〒${formatPostalCode(lookup.postalCode)}`;
+
+    if (!lookup.hasData) {
+        message.textContent = '郵便番号データが未登録のため、郵便番号から町名を絞り込めません（README の「郵便番号データ」を参照）。';
+        return;
+    }
+    if (lookup.towns.length === 0) {
+        message.textContent = `${code} は天草市の郵便番号データにありません。郵便番号を確認してください。`;
+        return;
+    }
+
+    message.textContent = `${code} の町名: `;
+    lookup.towns.forEach(t => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'suggestion-button';
+        button.textContent = t.isKnown ? `${t.town}（${t.locations.join('・')}）` : `${t.town}（旅費データにない町名）`;
+        button.disabled = !t.isKnown;
+        button.addEventListener('click', () => onChooseTown(t.town));
+        message.appendChild(button);
+    });
+
+    if (lookup.hasDifferentPoints) {
+        const warning = document.createElement('p');
+        warning.className = 'postal-code-warning';
+        warning.textContent = '⚠ この郵便番号の区域には、旅費地点の異なる町名が含まれます。住所の大字（町名）を確認してから選択してください。';
+        container.appendChild(warning);
+    }
+    if (parsedTown && !lookup.towns.some(t => t.town === parsedTown)) {
+        const warning = document.createElement('p');
+        warning.className = 'postal-code-warning';
+        warning.textContent = `⚠ 住所の町名「${parsedTown}」は ${code} の区域の町名ではありません。郵便番号・町名を確認してください。`;
+        container.appendChild(warning);
+    }
+}
+
+/**
+ * 住所検索の郵便番号欄が変わったら、区域の町名を表示する
+ * 区域の町名が1つだけなら町名欄に入力する
+ */
+function handlePostalCodeInput() {
+    const postalCode = normalizePostalCode(document.getElementById('postal-code').value);
+    postalCodeArea = postalCode ? lookupPostalCode(postalCode, getSelectedAsOfDate()) : null;
+
+    const chooseTown = (town) => {
+        document.getElementById('town-name').value = town;
+        clearFieldErrors(['town-name']);
+        document.getElementById('house-number').focus();
+    };
+    renderPostalCodeInfo('postal-code-info', postalCodeArea, chooseTown);
+
+    const knownTowns = postalCodeArea ? postalCodeArea.towns.filter(t => t.isKnown) : [];
+    if (knownTowns.length === 1) chooseTown(knownTowns[0].town);
+}
+
+function clearPostalCode() {
+    document.getElementById('postal-code').value = '';
+    handlePostalCodeInput();
+}
+
+/**
+ * 貼り付けた住所に郵便番号があれば、解析結果の確認欄に区域の町名を表示する
+ */
+function showParsedPostalCode(fullAddress, parsedTown) {
+    const postalCode = extractPostalCode(fullAddress);
+    const lookup = postalCode ? lookupPostalCode(postalCode, getSelectedAsOfDate()) : null;
+
+    renderPostalCodeInfo('parsed-postal-code-info', lookup, town => {
+        document.getElementById('parsed-town-name').value = town;
+        showParsedPostalCode(fullAddress, town);
+    }, parsedTown);
+}
+
+function initializePostalCode() {
+    document.getElementById('postal-code').addEventListener('input', handlePostalCodeInput);
+}
+
+window.addEventListener('load', initializePostalCode);
@@ -0,0 +1,39 @@
+// --- オフライン対応（PWA） ---
+// サービスワーカー（sw.js）を登録し、データやアプリの更新を通知する
+
+// 更新されたファイルのうち、旅費データの判定に関わるもの
+const DATA_FILES = ['data.js', 'postal-codes.js'];
+
+/**
+ * 更新の通知を表示する。旅費データの更新は、アプリの更新より優先して表示する
+ */
+function showUpdateNotice(path) {
+    const notice = document.getElementById('update-notice');
+    const message = document.getElementById('update-notice-message');
+    const isDataUpdate = DATA_FILES.some(file => path.endsWith('/' + file));
+
+    if (!notice.classList.contains('hidden') && notice.dataset.kind === 'data' && !isDataUpdate) return;
+
+    notice.dataset.kind = isDataUpdate ? 'data' : 'app';
+    message.textContent = isDataUpdate
+        ? '旅費データが更新されました。再読み込みすると新しいデータで判定します。'
+        : 'アプリが更新されました。再読み込みすると新しい版を使用します。';
+    notice.classList.remove('hidden');
+}
+
+function registerServiceWorker() {
+    // file:// で開いた場合など、サービスワーカーを使えない環境では何もしない
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === 'file-updated') {
+            showUpdateNotice(event.data.path);
+        }
+    });
+
+    navigator.serviceWorker.register('sw.js').catch(e => {
+        console.warn("サービスワーカーを登録できませんでした。オフラインでは使用できません:", e);
+    });
+}
+
+window.addEventListener('load', registerServiceWorker);
@@ -0,0 +1,111 @@
+// --- 地点からの逆引き ---
+// 地点名を選ぶと、その地点となる町名・地番範囲（単独 / 複数地点のいずれか）と施設を一覧表示する
+
+/**
+ * 地点名の選択肢を、判定基準日の旅費データから作り直す（選択中の地点は残す）
+ */
+function populateReversePointSelect() {
+    const select = document.getElementById('reverse-point');
+    const selected = select.value;
+
+    select.innerHTML = '<option value="">-- 地点を選択 --</option>';
+    getPointNames(getSelectedAsOfDate()).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.value = selected;
+}
+
+function searchByPoint() {
+    const pointName = document.getElementById('reverse-point').value;
+
+    clearFieldErrors(['reverse-point']);
+    if (!pointName) {
+        showFieldError('reverse-point', "地点を選択してください。");
+        return;
+    }
+
+    displayReverseResults(reverseLookupPoint(pointName, getSelectedAsOfDate()));
+    recordSearch({ mode: 'reverse', point: pointName }, false);
+}
+
+/**
+ * 表（見出しと行の値）を作る
+ */
+function createReverseTable(headers, rows) {
+    const table = document.createElement('table');
+    table.className = 'batch-table';
+    const headerRow = table.createTHead().insertRow();
+    headers.forEach(label => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        headerRow.appendChild(th);
+    });
+
+    const tbody = table.createTBody();
+    rows.forEach(values => {
+        const row = tbody.insertRow();
+        values.forEach(value => {
+            row.insertCell().textContent = value;
+        });
+    });
+    return table;
+}
+
+function appendReverseSection(container, title, headers, rows) {
+    const heading = document.createElement('h3');
+    heading.textContent = `${title}（${rows.length}件）`;
+    container.appendChild(heading);
+
+    if (rows.length === 0) {
+        const none = document.createElement('p');
+        none.className = 'note';
+        none.textContent = '該当なし';
+        container.appendChild(none);
+        return;
+    }
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'batch-table-wrapper';
+    wrapper.appendChild(createReverseTable(headers, rows));
+    container.appendChild(wrapper);
+}
+
+function displayReverseResults(lookup) {
+    const container = document.getElementById('reverse-results');
+    container.innerHTML = '';
+
+    const rangeStr = (range) => range.districtRule
+        ? `全域（${range.districtRule}）`
+        : `${range.start} 以上 ${range.end} 未満`;
+    const exclusiveRanges = lookup.ranges.filter(range => range.isExclusive);
+    const sharedRanges = lookup.ranges.filter(range => !range.isExclusive);
+
+    const summary = document.createElement('p');
+    summary.textContent = `「${lookup.point}」 判定基準日: ${lookup.asOfDate}` +
+        (lookup.dataVersion ? ` / データ版: ${formatDataVersion(lookup.dataVersion)}` : '');
+    container.appendChild(summary);
+
+    appendReverseSection(container, 'この地点のみが適用される範囲', ['町名', '地番範囲'],
+        exclusiveRanges.map(range => [range.town, rangeStr(range)]));
+    appendReverseSection(container, '複数地点のいずれかとなる範囲（OR）', ['町名', '地番範囲', '地点'],
+        sharedRanges.map(range => [range.town, rangeStr(range), range.locations.join(' OR ')]));
+    appendReverseSection(container, 'この地点と判定される施設', ['施設名', '住所', '地点'],
+        lookup.facilities.map(facility => [
+            facility.name,
+            facility.address,
+            facility.isExclusive ? facility.candidates[0] : `${facility.candidates.join(' OR ')}（いずれか）`
+        ]));
+}
+
+function initializeReverse() {
+    populateReversePointSelect();
+    document.getElementById('as-of-date').addEventListener('change', () => {
+        populateReversePointSelect();
+        document.getElementById('reverse-results').innerHTML = '';
+    });
+}
+
+window.addEventListener('load', initializeReverse);
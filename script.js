@@ -1,141 +1,35 @@
-// --- ユーティリティ関数 ---
+// --- 画面操作 ---
+// 住所の解析・旅費地点の判定は core.js の関数を使用し、このファイルでは画面への入出力を扱う
 
-/**
- * 住所文字列から数値化された地番を抽出する
- * 修正点: 地番の第1・第2要素のみを考慮し、「整数.小数」形式で数値化するロジックに関するコメントを追加
- */
-function parseToNumeric(houseNumberStr) {
-    if (!houseNumberStr) return 0;
-    
-    // 全角数字を半角に変換
-    let cleanStr = houseNumberStr.replace(/[０-９]/g, s => String.fromCharCode(s.charCodeAt(0) - 0xFEE0));
-    
-    // 「番地」「番」「号」「の」を統一的にピリオドに変換
-    cleanStr = cleanStr.replace(/番地/g, '.');
-    cleanStr = cleanStr.replace(/番/g, '.');
-    cleanStr = cleanStr.replace(/号/g, '.');
-    cleanStr = cleanStr.replace(/の/g, '.');
-    
-    // ハイフンもピリオドに変換
-    cleanStr = cleanStr.replace(/[-ー]/g, '.');
-    
-    // 複数のピリオドを整理（最初の2つまで残す: 例 1-2-3 → 1.2）
-    const parts = cleanStr.split('.').filter(p => p.length > 0);
-    if (parts.length >= 2) {
-        cleanStr = parts[0] + '.' + parts[1];
-    } else if (parts.length === 1) {
-        cleanStr = parts[0];
-    }
-    
-    // 修正点: 地番の第1・第2要素のみを考慮し、それを「整数.小数」形式で比較する（旅費規定の慣習による）
-    return parseFloat(cleanStr.trim());
-}
+// --- UI操作関数 ---
 
 /**
- * 完全な住所文字列から町名と地番を抽出する
+ * 判定基準日の入力値を返す。未入力なら undefined（今日として扱われる）
  */
-function parseAddress(fullAddress) {
-    const parts = fullAddress.split('天草市');
-    if (parts.length < 2) return { townName: "", houseNumber: "" };
-    
-    const address = parts[1].trim();
-    
-    // 数字（半角/全角）が最初に出現する位置を探す
-    const match = address.match(/^(.+?)([0-9０-９]+.*)$/);
-    
-    if (match && match[1] && match[2]) {
-        return { 
-            townName: match[1].trim(), 
-            houseNumber: match[2].trim() 
-        };
-    } else {
-        return { 
-            townName: address.trim(), 
-            houseNumber: "" 
-        };
-    }
+function getSelectedAsOfDate() {
+    return document.getElementById('as-of-date').value || undefined;
 }
 
-
-// --- 旅費地点検索ロジック (コアロジック) ---
-
-/**
- * 町名と地番から旅費地点を特定する
- * 修正点: 戻り値にマッチした町名と範囲を含めることで、結果の透明性を向上
- * @returns {{point: string, matchedTown: string, rangeStr: string}}
- */
-function getTravelPoint(townName, numericHouseNumber) {
-    try {
-        const cleanInputTown = townName.replace(/町$/, '').trim();
-        let targetEntry = null;
-
-        // 1. データ内で町名を探す (厳格な町名照合ロジック)
-        const foundEntry = TRAVEL_POINTS_DATA.find(entry => {
-            // 優先度1: 完全一致
-            if (entry.town === townName) return true;
-            // 優先度2: クリーン名でのマッチ (例: 御領 vs 五和町御領)
-            if (entry.town.replace(/町$/, '').trim() === cleanInputTown) return true;
-            // 修正点1: 柔軟すぎる部分一致のロジック（優先度3）を削除
-            return false;
-        });
-
-        if (foundEntry) {
-            targetEntry = foundEntry;
-        }
-
-        // 2. 東浜町などの「東・浄南・太田町以外は本渡」ルールを適用
-        if (!targetEntry && !['東町', '浄南町', '太田町'].some(ex => townName.includes(ex))) {
-            const catchAllEntry = TRAVEL_POINTS_DATA.find(entry => entry.town === '東・浄南・太田町以外');
-            if (catchAllEntry) {
-                targetEntry = catchAllEntry;
-            }
-        }
-        
-        if (!targetEntry) {
-            return {
-                point: `エラー: 入力された町名「${townName}」に該当する旅費データが見つかりません。`,
-                matchedTown: "",
-                rangeStr: ""
-            };
-        }
-
-        // 3. 範囲を順番にチェック (地番境界値の厳格な適用)
-        // data.jsの定義: start以上、end未満 (start <= x < end)
-        for (let i = 0; i < targetEntry.ranges.length; i++) {
-            const range = targetEntry.ranges[i];
-            const rangeStart = range.start;
-            const rangeEnd = range.end;
-            
-            // 基本の範囲判定: 開始地番以上 (>=) かつ 終了地番未満 (<)
-            if (numericHouseNumber >= rangeStart && numericHouseNumber < rangeEnd) {
-                const matchedTown = targetEntry.town;
-                const rangeStr = `${rangeStart} 以上 ${rangeEnd} 未満`;
-                return {
-                    point: range.location,
-                    matchedTown: matchedTown,
-                    rangeStr: rangeStr
-                };
-            }
-        }
-        
-        return {
-            point: "エラー: 入力された地番の範囲を特定できませんでした。",
-            matchedTown: targetEntry.town,
-            rangeStr: ""
-        };
-        
-    } catch (e) {
-        console.error("検索処理中に致命的なエラーが発生しました:", e);
-        return {
-            point: "エラー: 検索ロジック処理中に例外が発生しました。",
-            matchedTown: "",
-            rangeStr: ""
-        };
-    }
-}
-
-
-// --- UI操作関数 ---
+// 直近に表示した検索結果。複数地点から選択した地点と理由は result.selection に記録する
+let currentResult = null;
+
+// 判定に失敗した場合に、状態（result.status）ごとに表示する案内
+const RESULT_STATUS_NOTES = {
+    unknown_town: "※ 町名を確認してください。近い町名があれば下に表示します。",
+    out_of_range: "※ 地番が旅費データの範囲にありません。地番を確認するか、市役所にご確認ください。",
+    invalid_lot: "※ 地番は「4-15」「1470」のように数字で入力してください。",
+    no_data: "※ 判定基準日を確認してください。",
+    unknown_facility: "※ 施設一覧から施設を選択し直してください。"
+};
+const DEFAULT_ERROR_NOTE = "※ 地点特定に失敗しました。入力内容を確認するか、市役所にご確認ください。";
+
+// 複数地点から選択する際の理由の選択肢
+const CANDIDATE_CHOICE_REASONS = [
+    "出発庁舎から最も近い",
+    "用務先に最も近い",
+    "交通機関の経路上にある",
+    "その他"
+];
 
 /**
  * 検索結果を画面に表示する
@@ -147,36 +41,53 @@ function displayResult(input, resultObj, isFacilitySearch) {
     const pointDisplay = document.getElementById('travel-point-display');
     const noteDisplay = document.getElementById('note-display');
 
-    const point = resultObj.point;
     const matchedTown = resultObj.matchedTown;
     const rangeStr = resultObj.rangeStr;
 
-    // 修正点: 施設検索時でもmatchedTownを表示するように修正 (透明性向上のため)
-    inputDisplay.innerHTML = `
-        検索対象: ${input}
-        ${matchedTown ? `<br>適用データ: <strong>天草市${matchedTown}</strong>` : ''}
-        ${rangeStr ? `<br>適用範囲: ${rangeStr}` : ''}
-    `;
+    currentResult = { input: input, result: resultObj };
 
-    pointDisplay.textContent = point;
+    displayTownSuggestions([], isFacilitySearch);
+    displayCandidateChoice(resultObj);
+    displayResultTrace(resultObj);
+    displayBoundaryWarning(resultObj);
+    updateCalculator(input, resultObj);
+
+    // 修正点: 施設検索時でもmatchedTownを表示するように修正 (透明性向上のため)
+    // 入力値は共有リンク等から渡されることもあるため、HTMLとして解釈させずテキストとして表示する
+    inputDisplay.innerHTML = '';
+    const addLine = (label, value, isStrong) => {
+        if (inputDisplay.childNodes.length > 0) inputDisplay.appendChild(document.createElement('br'));
+        inputDisplay.appendChild(document.createTextNode(label));
+        const valueNode = isStrong ? document.createElement('strong') : document.createElement('span');
+        valueNode.textContent = value;
+        inputDisplay.appendChild(valueNode);
+    };
+    addLine('検索対象: ', input);
+    if (matchedTown) addLine('適用データ: ', `天草市${matchedTown}`, true);
+    if (rangeStr) addLine('適用範囲: ', rangeStr);
+    if (resultObj.aliases && resultObj.aliases.length > 0) addLine('住所の読み替え: ', resultObj.aliases.map(formatTownAlias).join('、'));
+    addLine('判定基準日: ', resultObj.asOfDate + (resultObj.dataVersion ? ` / データ版: ${formatDataVersion(resultObj.dataVersion)}` : ''));
+
+    pointDisplay.textContent = formatResultPoint(resultObj);
     
     // 修正点3: 結果表示のカラーリングを動的に変更
     pointDisplay.classList.remove('error-point-color', 'success-point-color');
 
-    if (point.startsWith("エラー:")) {
+    if (isResultError(resultObj)) {
         resultArea.style.borderColor = '#dc3545';
         resultArea.style.backgroundColor = '#f8d7da';
-        noteDisplay.textContent = "※ 地点特定に失敗しました。入力内容を確認するか、市役所にご確認ください。";
+        noteDisplay.textContent = RESULT_STATUS_NOTES[resultObj.status] || DEFAULT_ERROR_NOTE;
         pointDisplay.classList.add('error-point-color');
+        displayTownSuggestions(resultObj.suggestions, isFacilitySearch);
         return;
     }
 
-    const isAmbiguous = point.includes("or") || point.includes("OR");
+    const isAmbiguous = resultObj.status === 'ambiguous';
 
     resultArea.style.borderColor = isAmbiguous ? '#ffc107' : '#28a745'; 
     
     if (isAmbiguous) {
-        noteDisplay.textContent = "※「or」を含む結果は、旅費規定の運用に基づき、いずれかの地点を適用してください。システム側で単一に限定することはできません。";
+        noteDisplay.textContent = "※ 複数の地点が候補となる範囲です。旅費規定の運用に基づき適用する地点を選択し、選択理由を記録してください。システム側で単一に限定することはできません。";
         resultArea.style.backgroundColor = '#fff3cd';
         pointDisplay.classList.add('success-point-color'); 
     } else {
@@ -186,119 +97,765 @@ function displayResult(input, resultObj, isFacilitySearch) {
     }
 }
 
+/**
+ * 地番が範囲の境界付近にある場合に、隣接する範囲とその地点を警告として表示する
+ */
+function displayBoundaryWarning(resultObj) {
+    const warning = document.getElementById('boundary-warning');
+    const nearBoundaries = resultObj.nearBoundaries || [];
+    warning.innerHTML = '';
+
+    if (nearBoundaries.length === 0) {
+        warning.classList.add('hidden');
+        return;
+    }
+
+    const message = document.createElement('p');
+    message.textContent = `⚠ 地番「${formatLotNumber(resultObj.lot)}」は地番範囲の境界付近です。境界の反対側では地点が変わるため、地番を再確認してください。`;
+    const list = document.createElement('ul');
+    nearBoundaries.forEach(near => {
+        const item = document.createElement('li');
+        const range = near.adjacentRange;
+        item.textContent = `境界 ${near.boundary}（差 ${near.distance}）の隣: ${range.start} 以上 ${range.end} 未満 → ${range.locations.join(' OR ')}`;
+        list.appendChild(item);
+    });
+
+    warning.append(message, list);
+    warning.classList.remove('hidden');
+}
+
+// 判定の根拠で、範囲ごとの照合結果の表示
+const TRACE_RANGE_RESULT_LABELS = {
+    match: '一致',
+    no_match: '該当せず',
+    not_checked: '未確認（先の範囲で一致）'
+};
+
+/**
+ * 判定の根拠（result.trace）を、結果の下の折りたたみ欄に表示する
+ */
+function displayResultTrace(resultObj) {
+    const traceArea = document.getElementById('result-trace');
+    const body = document.getElementById('result-trace-body');
+    const trace = resultObj.trace;
+    body.innerHTML = '';
+
+    if (!trace) {
+        traceArea.classList.add('hidden');
+        return;
+    }
+
+    const list = document.createElement('dl');
+    const addItem = (label, value) => {
+        const dt = document.createElement('dt');
+        dt.textContent = label;
+        const dd = document.createElement('dd');
+        dd.textContent = value;
+        list.append(dt, dd);
+    };
+    addItem('入力された町名', trace.input === trace.normalizedTown || trace.normalizedTown === null
+        ? trace.input
+        : `${trace.input} → 正規化後: ${trace.normalizedTown}`);
+    addItem('地番', trace.lot || '解釈できませんでした');
+    addItem('町名の照合', formatMatchRule(trace));
+    addItem('照合した町名データ', trace.entryTown ? `天草市${trace.entryTown}` : '該当なし');
+    trace.notes.forEach(note => addItem('補足', note));
+    body.appendChild(list);
+
+    if (trace.ranges.length > 0) {
+        const table = document.createElement('table');
+        table.className = 'trace-table';
+        const header = table.createTHead().insertRow();
+        ['地番範囲', '地点', '照合結果'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            header.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        trace.ranges.forEach(range => {
+            const row = tbody.insertRow();
+            if (range.result === 'match') row.className = 'trace-match';
+            [
+                `${range.start} 以上 ${range.end} 未満`,
+                range.locations.join(' OR '),
+                trace.lot ? TRACE_RANGE_RESULT_LABELS[range.result] : '―'
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+        });
+        body.appendChild(table);
+    }
+
+    traceArea.classList.remove('hidden');
+}
+
+/**
+ * 複数地点の範囲の場合に、適用する地点と選択理由の入力欄を表示する
+ */
+function displayCandidateChoice(resultObj) {
+    const choiceArea = document.getElementById('candidate-choice');
+    const pointOptions = document.getElementById('candidate-points');
+    const reasonSelect = document.getElementById('candidate-reason');
+
+    pointOptions.innerHTML = '';
+    document.getElementById('candidate-reason-note').value = '';
+    document.getElementById('candidate-choice-status').textContent = '';
+
+    if (resultObj.candidates.length <= 1) {
+        choiceArea.classList.add('hidden');
+        return;
+    }
+
+    resultObj.candidates.forEach(point => {
+        const label = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'candidate-point';
+        radio.value = point;
+        label.appendChild(radio);
+        label.appendChild(document.createTextNode(` ${point}`));
+        pointOptions.appendChild(label);
+    });
+
+    reasonSelect.innerHTML = '<option value="">選択理由を選んでください</option>';
+    CANDIDATE_CHOICE_REASONS.forEach(reason => {
+        const option = document.createElement('option');
+        option.value = reason;
+        option.textContent = reason;
+        reasonSelect.appendChild(option);
+    });
+
+    choiceArea.classList.remove('hidden');
+}
+
+/**
+ * 選択された地点と理由を検索結果に記録する
+ */
+function confirmCandidateChoice() {
+    const checked = document.querySelector('input[name="candidate-point"]:checked');
+    const reason = document.getElementById('candidate-reason').value;
+    const note = document.getElementById('candidate-reason-note').value.trim();
+
+    if (!currentResult || !checked) {
+        alert("適用する地点を選択してください。");
+        return;
+    }
+    if (!reason || (reason === "その他" && !note)) {
+        alert("選択理由を入力してください。");
+        return;
+    }
+
+    applyCandidateSelection({
+        point: checked.value,
+        reason: reason,
+        note: note,
+        selectedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * 選択した地点と理由を表示中の検索結果に記録し、入力欄・旅費計算・検索履歴に反映する
+ * 検索履歴から再検索した場合は、履歴に保存した選択を復元するためにも使用する
+ */
+function applyCandidateSelection(selection) {
+    currentResult.result.selection = selection;
+
+    const radio = Array.from(document.querySelectorAll('input[name="candidate-point"]')).find(r => r.value === selection.point);
+    if (radio) radio.checked = true;
+    document.getElementById('candidate-reason').value = selection.reason;
+    document.getElementById('candidate-reason-note').value = selection.note || '';
+
+    document.getElementById('candidate-choice-status').textContent =
+        `適用地点: ${selection.point}（理由: ${selection.reason}${selection.note ? ` / ${selection.note}` : ''}）を記録しました。`;
+    updateCalculatorPoint(selection.point);
+    updateSearchHistorySelection(currentResult);
+}
+
+/**
+ * 町名が見つからなかった場合に「もしかして」の候補を表示する
+ * 候補をクリックすると町名欄に反映して再検索する（施設検索では入力を変更できないため表示のみ）
+ */
+function displayTownSuggestions(suggestions, isFacilitySearch) {
+    const suggestionArea = document.getElementById('suggestion-display');
+    suggestionArea.innerHTML = '';
+
+    if (!suggestions || suggestions.length === 0) return;
+
+    const label = document.createElement('span');
+    label.textContent = 'もしかして: ';
+    suggestionArea.appendChild(label);
+
+    suggestions.forEach(town => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'suggestion-button';
+        button.textContent = town;
+        button.disabled = isFacilitySearch;
+        button.addEventListener('click', () => applyTownSuggestion(town));
+        suggestionArea.appendChild(button);
+    });
+}
+
+/**
+ * 「もしかして」の候補を現在の検索モードの町名欄に反映して再検索する
+ */
+function applyTownSuggestion(town) {
+    if (!document.getElementById('full-address-search-form').classList.contains('hidden')) {
+        document.getElementById('parsed-town-name').value = town;
+        searchByFullAddress();
+    } else {
+        document.getElementById('town-name').value = town;
+        searchByAddress();
+    }
+}
+
+/**
+ * 町名入力欄のオートコンプリートを設定する
+ * 入力に応じて候補を表示し、上下キーで選択、Enterで確定、Escで閉じる
+ */
+function setupTownAutocomplete() {
+    const input = document.getElementById('town-name');
+    const list = document.getElementById('town-suggestions');
+    let activeIndex = -1;
+
+    const close = () => {
+        list.innerHTML = '';
+        list.classList.add('hidden');
+        activeIndex = -1;
+    };
+
+    const choose = (town) => {
+        input.value = town;
+        close();
+        document.getElementById('house-number').focus();
+    };
+
+    const highlight = (index) => {
+        const items = list.querySelectorAll('li');
+        items.forEach((item, i) => item.classList.toggle('active', i === index));
+        activeIndex = index;
+    };
+
+    input.addEventListener('input', () => {
+        const towns = suggestTowns(input.value, 8, getPostalCodeTownEntries());
+        list.innerHTML = '';
+        activeIndex = -1;
+
+        if (towns.length === 0) {
+            list.classList.add('hidden');
+            return;
+        }
+
+        towns.forEach(town => {
+            const item = document.createElement('li');
+            item.textContent = town;
+            const reading = document.createElement('span');
+            reading.className = 'suggestion-reading';
+            reading.textContent = TOWN_READINGS[town];
+            item.appendChild(reading);
+            // blur より先に選択を確定させるため mousedown を使う
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                choose(town);
+            });
+            list.appendChild(item);
+        });
+        list.classList.remove('hidden');
+    });
+
+    input.addEventListener('keydown', (e) => {
+        const items = list.querySelectorAll('li');
+        if (list.classList.contains('hidden') || items.length === 0) return;
+
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            highlight((activeIndex + 1) % items.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            highlight((activeIndex - 1 + items.length) % items.length);
+        } else if (e.key === 'Enter' && activeIndex >= 0) {
+            e.preventDefault();
+            choose(items[activeIndex].firstChild.textContent);
+        } else if (e.key === 'Escape') {
+            close();
+        }
+    });
+
+    input.addEventListener('blur', close);
+}
+
+// --- 入力欄のエラー表示 ---
+
+/**
+ * 入力欄の下にエラーメッセージを表示する。入力し直すと消える
+ */
+function showFieldError(inputId, message) {
+    const input = document.getElementById(inputId);
+    let error = document.getElementById(`${inputId}-error`);
+
+    if (!error) {
+        error = document.createElement('p');
+        error.id = `${inputId}-error`;
+        error.className = 'field-error';
+        error.setAttribute('role', 'alert');
+        input.insertAdjacentElement('afterend', error);
+        input.addEventListener('input', () => clearFieldErrors([inputId]));
+    }
+
+    error.textContent = message;
+    input.setAttribute('aria-invalid', 'true');
+    input.setAttribute('aria-describedby', error.id);
+}
+
+function clearFieldErrors(inputIds) {
+    inputIds.forEach(inputId => {
+        const error = document.getElementById(`${inputId}-error`);
+        if (error) error.textContent = '';
+        document.getElementById(inputId).removeAttribute('aria-invalid');
+    });
+}
+
+/**
+ * 必須の入力欄が空欄でないかを確認し、空欄の欄にはエラーを表示する
+ * @param {Array<[string, string]>} fields 入力欄の id とエラーメッセージの組
+ * @returns {boolean} すべて入力されていれば true
+ */
+function validateRequiredFields(fields) {
+    clearFieldErrors(fields.map(([inputId]) => inputId));
+
+    const emptyFields = fields.filter(([inputId]) => !document.getElementById(inputId).value.trim());
+    emptyFields.forEach(([inputId, message]) => showFieldError(inputId, message));
+    if (emptyFields.length > 0) document.getElementById(emptyFields[0][0]).focus();
+
+    return emptyFields.length === 0;
+}
+
+
+// --- 検索 ---
+
 function searchByAddress() {
     const town = document.getElementById('town-name').value.trim();
     const houseNumStr = document.getElementById('house-number').value.trim();
     
-    if (!town || !houseNumStr) {
-        alert("町名と地番を入力してください。");
+    if (!validateRequiredFields([['town-name', "町名を入力してください。"], ['house-number', "地番を入力してください。"]])) {
         return;
     }
     
-    const numericHouseNum = parseToNumeric(houseNumStr);
-    const result = getTravelPoint(town, numericHouseNum);
+    const addressParts = normalizeAddressParts(town, houseNumStr);
+    const lotNumber = parseLotNumber(addressParts.houseNumber);
+    const result = getTravelPoint(addressParts.townName, lotNumber, getSelectedAsOfDate());
     
     const inputStr = `住所: ${town} ${houseNumStr}`;
     
     displayResult(inputStr, result, false);
+    recordSearch({ mode: 'address', town: town, lot: houseNumStr });
+}
+
+/**
+ * 一括入力された住所を町名と地番に分解し、確認欄に表示する
+ * 検索自体は確認後に searchByFullAddress で行う
+ */
+function parseFullAddress() {
+    const fullAddress = document.getElementById('full-address').value.trim();
+    const confirmArea = document.getElementById('parsed-address-confirm');
+
+    if (!validateRequiredFields([['full-address', "住所を入力してください。"]])) {
+        return;
+    }
+
+    const addressParts = parseAddress(fullAddress);
+
+    document.getElementById('parsed-town-name').value = addressParts.townName;
+    document.getElementById('parsed-house-number').value = addressParts.houseNumber;
+    showParsedPostalCode(fullAddress, addressParts.townName);
+    confirmArea.classList.remove('hidden');
+}
+
+function searchByFullAddress() {
+    const fullAddress = document.getElementById('full-address').value.trim();
+    const town = document.getElementById('parsed-town-name').value.trim();
+    const houseNumStr = document.getElementById('parsed-house-number').value.trim();
+
+    if (!validateRequiredFields([['parsed-town-name', "町名を確認してください。"], ['parsed-house-number', "地番を確認してください。"]])) {
+        return;
+    }
+
+    const addressParts = normalizeAddressParts(town, houseNumStr);
+    const lotNumber = parseLotNumber(addressParts.houseNumber);
+    const result = getTravelPoint(addressParts.townName, lotNumber, getSelectedAsOfDate());
+
+    const inputStr = `住所: ${fullAddress} / 解析結果: ${town} ${houseNumStr}`;
+
+    displayResult(inputStr, result, false);
+    recordSearch({ mode: 'fullAddress', address: fullAddress, town: town, lot: houseNumStr });
 }
 
 function searchByFacility() {
-    const selectElement = document.getElementById('facility-select');
-    const facilityName = selectElement.value;
+    const facility = selectedFacility;
     
-    if (!facilityName) {
-        alert("施設を選択してください。");
+    clearFieldErrors(['facility-search']);
+    if (!facility) {
+        showFieldError('facility-search', "一覧から施設を選択してください。");
         return;
     }
     
-    const facility = FACILITY_DATA.find(f => f.name === facilityName);
-    const addressParts = parseAddress(facility.address);
-    
-    const numericHouseNum = parseToNumeric(addressParts.houseNumber);
-
-    const result = getTravelPoint(addressParts.townName, numericHouseNum);
+    const result = resolveFacility(facility, getSelectedAsOfDate());
     
-    const inputStr = `施設名: ${facilityName} (${facility.address})`;
+    const inputStr = `施設名: ${facility.name} (${facility.address})`;
     
     // 施設検索時は適用データが住所から明確なため、住所検索時とは異なる表示ロジックを適用
     displayResult(inputStr, result, true); 
+    recordSearch({ mode: 'facility', facility: facility.name, address: facility.address });
 }
 
-// --- 初期化 ---
+// --- URL（共有リンク・ブラウザ履歴） ---
+// 検索のたびに検索モードと入力内容をURLのクエリに書き込み、履歴に追加する
+// 例: ?mode=address&town=浄南町&lot=4-15&date=2024-04-01
+
+// 検索条件としてURLに書き込むクエリの名前（これ以外のクエリ、例えば diagnostics はそのまま残す）
+const URL_SEARCH_KEYS = ['mode', 'town', 'lot', 'address', 'facility', 'point', 'date'];
+
+// URLから検索を復元している間は、URLへの書き込み（ブラウザ履歴の追加）と検索履歴への追加を行わない
+let isRestoringFromUrl = false;
+
+/**
+ * 検索の完了時に、検索条件をURLと検索履歴に記録する
+ * @param {{mode: string, town?: string, lot?: string, address?: string, facility?: string, point?: string}} state
+ * @param {boolean} [addToHistory] 検索履歴に残すか（旅費地点の判定結果を表示した検索のみ）
+ */
+function recordSearch(state, addToHistory = true) {
+    const asOfDate = getSelectedAsOfDate();
+    const fullState = asOfDate ? Object.assign({}, state, { date: asOfDate }) : state;
 
-function getFacilityType(name) {
-    if (name.includes('市役所') || name.includes('支所')) return 1; 
-    if (name.includes('公民館') || name.includes('コミュニティセンター') || name.includes('交流センター')) return 2; 
-    if (name.includes('中学校')) return 3; 
-    if (name.includes('小学校')) return 4; 
-    if (name.includes('幼稚園')) return 5; 
-    if (name.includes('体育館') || name.includes('グラウンド') || name.includes('運動広場') || name.includes('テニスコート') || name.includes('相撲場')) return 6; 
-    if (name.includes('図書館') || name.includes('博物館') || name.includes('資料館') || name.includes('アーカイブズ') || name.includes('生涯学習センター') || name.includes('市民センター')) return 7; 
-    if (name.includes('給食センター')) return 8; 
-    return 9; 
+    recordSearchInUrl(fullState);
+    if (!addToHistory || !currentResult) return;
+
+    // 地点を選択したときに、同じ検索条件の検索履歴へ選択を記録するため
+    currentResult.state = fullState;
+    if (!isRestoringFromUrl) addSearchHistory(fullState, currentResult);
 }
 
-function initializeApp() {
-    const select = document.getElementById('facility-select');
-    
-    // 1. 重複を排除したリストを作成 
-    const uniqueFacilities = [];
-    const seen = new Set();
-
-    FACILITY_DATA.forEach(facility => {
-        const key = facility.name + '|' + facility.address;
-        if (!seen.has(key)) {
-            seen.add(key);
-            uniqueFacilities.push(facility);
-        }
+/**
+ * 検索条件をURLに書き込み、ブラウザの履歴に追加する
+ */
+function recordSearchInUrl(state) {
+    if (isRestoringFromUrl) return;
+
+    const params = new URLSearchParams(window.location.search);
+    URL_SEARCH_KEYS.forEach(key => params.delete(key));
+    Object.keys(state).forEach(key => {
+        if (state[key]) params.set(key, state[key]);
+    });
+
+    const url = `${window.location.pathname}?${params.toString()}`;
+    if (url !== `${window.location.pathname}${window.location.search}`) {
+        window.history.pushState(null, '', url);
+    }
+}
+
+/**
+ * URLのクエリから検索フォームを復元し、検索を再実行する
+ */
+function restoreSearchFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const state = {};
+    URL_SEARCH_KEYS.forEach(key => {
+        if (params.get(key)) state[key] = params.get(key);
     });
+    if (!SEARCH_MODES[state.mode]) return;
 
-    // 2. 施設リストを種別コードでソートし、同種別内は名前順でソート
-    const sortedFacilities = uniqueFacilities.sort((a, b) => {
-        const typeA = getFacilityType(a.name);
-        const typeB = getFacilityType(b.name);
+    isRestoringFromUrl = true;
+    try {
+        applySearchState(state);
+    } finally {
+        isRestoringFromUrl = false;
+    }
+}
 
-        if (typeA !== typeB) {
-            return typeA - typeB; 
+/**
+ * 検索条件（recordSearch に渡したもの）から検索フォームを復元し、検索を実行する
+ * 共有リンク・ブラウザ履歴・検索履歴からの再検索で使用する
+ */
+function applySearchState(state) {
+    switchSearchMode(state.mode);
+    document.getElementById('as-of-date').value = state.date || '';
+
+    if (state.mode === 'address') {
+        document.getElementById('town-name').value = state.town || '';
+        document.getElementById('house-number').value = state.lot || '';
+        searchByAddress();
+    } else if (state.mode === 'fullAddress') {
+        document.getElementById('full-address').value = state.address || '';
+        parseFullAddress();
+        // 確認欄で修正された町名・地番があればそちらを優先する
+        if (state.town) document.getElementById('parsed-town-name').value = state.town;
+        if (state.lot) document.getElementById('parsed-house-number').value = state.lot;
+        searchByFullAddress();
+    } else if (state.mode === 'facility') {
+        const facility = findFacilityForState(state);
+        if (facility) {
+            document.getElementById('facility-search').value = facility.name;
+            renderFacilityResults();
+            selectFacility(facility);
+        } else {
+            showFieldError('facility-search', getResultMessage(unknownFacilityResult(state.facility)));
+        }
+    } else if (state.mode === 'reverse') {
+        // 地点の選択肢は判定基準日のデータから作るため、基準日を反映してから作り直す
+        populateReversePointSelect();
+        document.getElementById('reverse-point').value = state.point || '';
+        searchByPoint();
+    }
+}
+
+/**
+ * 施設が見つからない場合の判定結果（getTravelPoint の失敗時と同じ形）
+ */
+function unknownFacilityResult(facilityName) {
+    return { status: 'unknown_facility', point: null, candidates: [], details: { facility: facilityName } };
+}
+
+function findFacilityForState(state) {
+    return getSortedFacilities().find(f =>
+        f.name === state.facility && (!state.address || f.address === state.address)
+    ) || null;
+}
+
+/**
+ * 検索条件を画面を使わずに判定する（検索履歴で、現在のデータでの結果と比較するために使用）
+ */
+function resolveSearchState(state) {
+    if (state.mode === 'facility') {
+        const facility = findFacilityForState(state);
+        return facility
+            ? resolveFacility(facility, state.date)
+            : unknownFacilityResult(state.facility);
+    }
+
+    const addressParts = normalizeAddressParts(state.town, state.lot);
+    return getTravelPoint(addressParts.townName, parseLotNumber(addressParts.houseNumber), state.date);
+}
+
+/**
+ * 現在のURL（検索条件付き）をクリップボードにコピーする
+ */
+function copySearchLink() {
+    navigator.clipboard.writeText(window.location.href)
+        .then(() => alert("この検索結果へのリンクをコピーしました。"))
+        .catch(() => alert("コピーできませんでした。アドレスバーのURLをコピーしてください。"));
+}
+
+// --- 診断パネル ---
+// URLに ?diagnostics を付けるか、Ctrl+Shift+D で表示する（通常の利用者には表示しない）
+
+function toggleDiagnosticsPanel(show) {
+    const panel = document.getElementById('diagnostics-panel');
+    const shouldShow = show === undefined ? panel.classList.contains('hidden') : show;
+
+    panel.classList.toggle('hidden', !shouldShow);
+    if (shouldShow) {
+        runDiagnostics();
+    }
+}
+
+function runDiagnostics() {
+    const report = validateAllData();
+    document.getElementById('diagnostics-report').textContent = formatValidationReport(report);
+}
+
+function setupDiagnosticsPanel() {
+    if (new URLSearchParams(window.location.search).has('diagnostics')) {
+        toggleDiagnosticsPanel(true);
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (e.ctrlKey && e.shiftKey && (e.key === 'D' || e.key === 'd')) {
+            e.preventDefault();
+            toggleDiagnosticsPanel();
         }
-        return a.name.localeCompare(b.name, 'ja'); 
     });
+}
 
-    // 3. ソート済みリストをドロップリストに追加
-    sortedFacilities.forEach(facility => {
-        const option = document.createElement('option');
-        option.value = facility.name;
-        option.textContent = facility.name;
-        select.appendChild(option);
+// --- 初期化 ---
+
+// 施設検索の一覧に一度に表示する最大件数
+const FACILITY_RESULT_LIMIT = 100;
+
+// 施設検索の状態
+let selectedFacility = null;
+let facilityCategoryIndex = null;
+let facilityActiveIndex = -1;
+
+/**
+ * 施設検索の分類ボタンを作り、一覧を表示し直す（FACILITY_DATA の取り込み後にも呼ぶ）
+ */
+function populateFacilityPicker() {
+    const chips = document.getElementById('facility-category-chips');
+    chips.innerHTML = '';
+
+    [{ label: 'すべて' }].concat(FACILITY_CATEGORIES).forEach((category, i) => {
+        const index = i === 0 ? null : i - 1;
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'category-chip' + (index === facilityCategoryIndex ? ' active' : '');
+        chip.textContent = category.label;
+        chip.addEventListener('click', () => {
+            facilityCategoryIndex = index;
+            populateFacilityPicker();
+        });
+        chips.appendChild(chip);
+    });
+
+    selectedFacility = null;
+    renderFacilityResults();
+}
+
+/**
+ * 検索語・分類に合う施設を一覧表示する。各施設には判定した旅費地点を併記する
+ */
+function renderFacilityResults() {
+    const list = document.getElementById('facility-results');
+    const query = document.getElementById('facility-search').value;
+    const facilities = filterFacilities(query, facilityCategoryIndex);
+    const asOfDate = getSelectedAsOfDate();
+
+    list.innerHTML = '';
+    facilityActiveIndex = -1;
+
+    facilities.slice(0, FACILITY_RESULT_LIMIT).forEach(facility => {
+        const result = resolveFacility(facility, asOfDate);
+        const item = document.createElement('li');
+        item.setAttribute('role', 'option');
+        if (selectedFacility === facility) item.classList.add('selected');
+
+        const name = document.createElement('span');
+        name.className = 'facility-name';
+        name.textContent = facility.name;
+        const point = document.createElement('span');
+        point.className = 'facility-point' + (isResultError(result) ? ' error-point-color' : '');
+        point.textContent = isResultError(result) ? '判定不可' : result.point;
+        const address = document.createElement('span');
+        address.className = 'facility-address';
+        address.textContent = facility.address;
+
+        item.appendChild(name);
+        item.appendChild(point);
+        item.appendChild(address);
+        item.addEventListener('click', () => selectFacility(facility));
+        item.facility = facility;
+        list.appendChild(item);
+    });
+
+    const countNote = document.getElementById('facility-result-count');
+    if (facilities.length === 0) {
+        countNote.textContent = '該当する施設がありません。';
+    } else if (facilities.length > FACILITY_RESULT_LIMIT) {
+        countNote.textContent = `${facilities.length}件中 ${FACILITY_RESULT_LIMIT}件を表示しています。検索語を追加して絞り込んでください。`;
+    } else {
+        countNote.textContent = `${facilities.length}件`;
+    }
+}
+
+/**
+ * 施設を選択し、その施設で検索する
+ */
+function selectFacility(facility) {
+    selectedFacility = facility;
+    document.querySelectorAll('#facility-results li').forEach(item => {
+        item.classList.toggle('selected', item.facility === facility);
     });
+    searchByFacility();
+}
+
+/**
+ * 施設検索欄のキー操作（上下キーで候補を移動、Enterで選択）
+ */
+function handleFacilitySearchKeydown(e) {
+    const items = document.querySelectorAll('#facility-results li');
+    if (items.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        facilityActiveIndex = (facilityActiveIndex + step + items.length) % items.length;
+        items.forEach((item, i) => item.classList.toggle('active', i === facilityActiveIndex));
+        items[facilityActiveIndex].scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        // 候補を選んでいなければ先頭の施設を選ぶ
+        selectFacility(items[Math.max(facilityActiveIndex, 0)].facility);
+    }
+}
+
+function initializeApp() {
+    populateFacilityPicker();
+    document.getElementById('facility-search').addEventListener('input', renderFacilityResults);
+    document.getElementById('facility-search').addEventListener('keydown', handleFacilitySearchKeydown);
+    document.getElementById('as-of-date').addEventListener('change', renderFacilityResults);
+
+    setupTownAutocomplete();
+    setupDiagnosticsPanel();
 
     // 検索モード切り替え
-    const modeAddressBtn = document.getElementById('mode-address');
-    const modeFacilityBtn = document.getElementById('mode-facility');
-    const formAddress = document.getElementById('address-search-form');
-    const formFacility = document.getElementById('facility-search-form');
-
-    modeAddressBtn.addEventListener('click', () => {
-        modeAddressBtn.classList.add('active');
-        modeFacilityBtn.classList.remove('active');
-        formAddress.classList.remove('hidden');
-        formFacility.classList.add('hidden');
-        
-        // 修正点4: モード切り替え時のリセット処理（施設検索→住所検索）
-        document.getElementById('facility-select').value = "";
+    Object.keys(SEARCH_MODES).forEach(mode => {
+        document.getElementById(SEARCH_MODES[mode].button).addEventListener('click', () => switchSearchMode(mode));
     });
 
-    modeFacilityBtn.addEventListener('click', () => {
-        modeFacilityBtn.classList.add('active');
-        modeAddressBtn.classList.remove('active');
-        formFacility.classList.remove('hidden');
-        formAddress.classList.add('hidden');
-        
-        // 修正点4: モード切り替え時のリセット処理（住所検索→施設検索）
+    // 共有リンクから開かれた場合は検索を復元し、戻る/進むでも検索を切り替える
+    restoreSearchFromUrl();
+    window.addEventListener('popstate', restoreSearchFromUrl);
+
+    // 一括入力欄が書き換えられたら、古い解析結果は確認欄から隠す
+    document.getElementById('full-address').addEventListener('input', () => {
+        document.getElementById('parsed-address-confirm').classList.add('hidden');
+    });
+}
+
+// 検索モードごとの切り替えボタンとフォーム
+const SEARCH_MODES = {
+    address: { button: 'mode-address', form: 'address-search-form' },
+    fullAddress: { button: 'mode-full-address', form: 'full-address-search-form' },
+    facility: { button: 'mode-facility', form: 'facility-search-form' },
+    batch: { button: 'mode-batch', form: 'batch-search-form' },
+    itinerary: { button: 'mode-itinerary', form: 'itinerary-search-form' },
+    reverse: { button: 'mode-reverse', form: 'reverse-search-form' }
+};
+
+/**
+ * 検索モードを切り替え、他モードの入力内容をリセットする
+ */
+function switchSearchMode(mode) {
+    Object.keys(SEARCH_MODES).forEach(key => {
+        const isActive = key === mode;
+        document.getElementById(SEARCH_MODES[key].button).classList.toggle('active', isActive);
+        document.getElementById(SEARCH_MODES[key].form).classList.toggle('hidden', !isActive);
+    });
+
+    // 修正点4: モード切り替え時のリセット処理
+    if (mode !== 'address') {
         document.getElementById('town-name').value = "";
         document.getElementById('house-number').value = "";
-    });
+        clearPostalCode();
+    }
+    if (mode !== 'fullAddress') {
+        document.getElementById('full-address').value = "";
+        document.getElementById('parsed-town-name').value = "";
+        document.getElementById('parsed-house-number').value = "";
+        document.getElementById('parsed-address-confirm').classList.add('hidden');
+    }
+    if (mode !== 'facility') {
+        document.getElementById('facility-search').value = "";
+        facilityCategoryIndex = null;
+        populateFacilityPicker();
+    }
+    if (mode !== 'itinerary') {
+        resetItinerary();
+    }
+    if (mode !== 'reverse') {
+        document.getElementById('reverse-point').value = "";
+        document.getElementById('reverse-results').innerHTML = "";
+    }
 }
 
 window.onload = initializeApp;
@@ -0,0 +1,94 @@
+// --- サービスワーカー（オフライン対応） ---
+// アプリ本体とデータをキャッシュし、通信できない場所（御所浦などの離島）でも起動できるようにする
+// キャッシュがあればキャッシュから応答し、裏で最新のファイルを取得してキャッシュを更新する
+// 取得したファイルの内容が変わっていれば、画面（pwa.js）に更新を通知する
+
+// アプリのファイル構成を変えた場合は版を上げる（古いキャッシュは activate 時に削除する）
+const CACHE_NAME = 'amakusa-travel-point-finder-v5';
+
+const APP_FILES = [
+    './',
+    './index.html',
+    './style.css',
+    './data.js',
+    './postal-codes.js',
+    './core.js',
+    './script.js',
+    './validator.js',
+    './calculator.js',
+    './batch.js',
+    './itinerary.js',
+    './reverse.js',
+    './postal.js',
+    './importer.js',
+    './history.js',
+    './certificate.js',
+    './pwa.js',
+    './manifest.webmanifest',
+    './amakusa-finder-16x16.png',
+    './amakusa-finder-180x180.png',
+    './amakusa-finder-192x192.png',
+    './amakusa-finder-512x512.png'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(APP_FILES)
+        ).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * 最新のファイルを取得してキャッシュを更新する。内容が変わっていれば画面に通知する
+ * キャッシュの更新が終わってから、取得した応答を返す
+ * @param {Response} [cachedResponse] 比較に使うキャッシュの応答（画面に返すものとは別に clone したもの）
+ */
+function updateCache(request, cachedResponse) {
+    return fetch(request).then(response => {
+        if (!response.ok) return response;
+
+        const isChanged = cachedResponse
+            ? Promise.all([cachedResponse.text(), response.clone().text()]).then(([oldText, newText]) => oldText !== newText)
+            : Promise.resolve(false);
+
+        return Promise.all([isChanged, caches.open(CACHE_NAME).then(cache => cache.put(request, response.clone()))])
+            .then(([changed]) => {
+                if (changed) notifyUpdated(new URL(request.url).pathname);
+                return response;
+            });
+    });
+}
+
+function notifyUpdated(path) {
+    self.clients.matchAll({ type: 'window' }).then(clients => {
+        clients.forEach(client => client.postMessage({ type: 'file-updated', path: path }));
+    });
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // 画面の読み込みは検索条件（?mode=...）にかかわらず index.html のキャッシュを使用する
+    const cacheRequest = request.mode === 'navigate' ? new Request('./index.html') : request;
+
+    event.respondWith(
+        caches.match(cacheRequest).then(cachedResponse => {
+            const networkResponse = updateCache(cacheRequest, cachedResponse && cachedResponse.clone());
+            if (cachedResponse) {
+                event.waitUntil(networkResponse.catch(() => null));
+                return cachedResponse;
+            }
+            return networkResponse;
+        })
+    );
+});
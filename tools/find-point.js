@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// 住所から旅費地点を判定する
+// 使い方: node tools/find-point.js [--json] [--date YYYY-MM-DD] [住所 ...]
+// 住所を指定しない場合は、標準入力から1行に1件ずつ読み込む
+// 判定できない住所が1件以上あれば終了コード 1 で終了する
+
+const readline = require('readline');
+const core = require('../core.js');
+
+const USAGE = [
+    '使い方: node tools/find-point.js [--json] [--date YYYY-MM-DD] [住所 ...]',
+    '',
+    '  住所を指定しない場合は、標準入力から1行に1件ずつ読み込みます。',
+    '  --json   1件ごとに1行のJSONで出力する',
+    '  --date   判定基準日（省略時は今日）。この日に施行されていた版のデータで判定する'
+].join('\n');
+
+function parseArgs(argv) {
+    const options = { json: false, date: undefined, addresses: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--date') {
+            options.date = argv[++i];
+            if (!core.isValidDateString(options.date)) {
+                throw new Error('--date には YYYY-MM-DD 形式の実在する日付を指定してください。');
+            }
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`不明なオプションです: ${arg}`);
+        } else {
+            options.addresses.push(arg);
+        }
+    }
+    return options;
+}
+
+/**
+ * 住所1件を判定し、出力用の結果にする
+ */
+function findPoint(address, asOfDate) {
+    const result = core.resolveAddress(address, asOfDate);
+    return {
+        input: address,
+        town: result.parsedAddress.townName,
+        lot: result.parsedAddress.houseNumber,
+        status: result.status,
+        point: result.point,
+        message: core.getResultMessage(result),
+        candidates: result.candidates,
+        details: result.details,
+        matchedTown: result.matchedTown,
+        rangeStr: result.rangeStr,
+        asOfDate: result.asOfDate,
+        dataVersion: result.dataVersion,
+        suggestions: result.suggestions || [],
+        aliases: result.aliases || [],
+        nearBoundaries: result.nearBoundaries || [],
+        trace: result.trace,
+        ok: !core.isResultError(result)
+    };
+}
+
+function formatText(found) {
+    if (!found.ok) {
+        const suggestion = found.suggestions.length > 0 ? `（もしかして: ${found.suggestions.join('、')}）` : '';
+        return `${found.input}\tエラー: ${found.message}${suggestion}`;
+    }
+    const version = found.dataVersion ? ` / ${core.formatDataVersion(found.dataVersion)}` : '';
+    const alias = found.aliases.length > 0 ? ` / 読み替え: ${found.aliases.map(core.formatTownAlias).join('、')}` : '';
+    const boundary = found.nearBoundaries.length > 0
+        ? `\t※ 境界付近: ${found.nearBoundaries.map(near => `${near.boundary}の隣は${near.adjacentRange.locations.join(' OR ')}`).join('、')}`
+        : '';
+    return `${found.input}\t${found.point}\t（${found.matchedTown} ${found.rangeStr}${version}${alias}）${boundary}`;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        console.error(USAGE);
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    let failedCount = 0;
+    const output = (address) => {
+        const found = findPoint(address, options.date);
+        if (!found.ok) failedCount++;
+        console.log(options.json ? JSON.stringify(found) : formatText(found));
+    };
+
+    if (options.addresses.length > 0) {
+        options.addresses.forEach(output);
+        process.exitCode = failedCount > 0 ? 1 : 0;
+        return;
+    }
+
+    const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+    lines.on('line', line => {
+        const address = line.trim();
+        if (address) output(address);
+    });
+    lines.on('close', () => {
+        process.exitCode = failedCount > 0 ? 1 : 0;
+    });
+}
+
+main();
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+// アプリのアイコン（amakusa-finder-*.png）を生成する（Node 標準モジュールのみで動作する）
+// 使い方: node tools/generate-icons.js
+// 青地の角丸四角に、白い地図のピンを描く。index.html・manifest.webmanifest・sw.js で参照している大きさをすべて出力する
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const OUTPUT_DIR = path.join(__dirname, '..');
+const ICON_SIZES = [16, 180, 192, 512];
+
+// 配色（style.css・manifest.webmanifest の theme_color と同じ青）
+const BACKGROUND_COLOR = [0x00, 0x7b, 0xff];
+const PIN_COLOR = [0xff, 0xff, 0xff];
+
+// 1画素を縦横この数に分けて塗りの割合を求める（縁を滑らかにする）
+const SUPERSAMPLING = 4;
+
+/**
+ * 座標（0〜1）がどの部分にあたるかを返す。'pin'・'hole'（ピンの穴）・'background'・null（角丸の外側）
+ */
+function getIconPart(x, y) {
+    const corner = 0.18;
+    const cx = Math.min(Math.max(x, corner), 1 - corner);
+    const cy = Math.min(Math.max(y, corner), 1 - corner);
+    if (Math.hypot(x - cx, y - cy) > corner) return null;
+
+    const center = { x: 0.5, y: 0.4 };
+    const radius = 0.23;
+    const tip = { x: 0.5, y: 0.84 };
+    const distance = Math.hypot(x - center.x, y - center.y);
+
+    if (distance <= radius * 0.42) return 'hole';
+    if (distance <= radius) return 'pin';
+
+    // ピンの先端から円への接線で囲まれた三角形
+    const toTip = Math.hypot(tip.x - center.x, tip.y - center.y);
+    const theta = Math.atan2(tip.y - center.y, tip.x - center.x);
+    const alpha = Math.acos(radius / toTip);
+    const a = { x: center.x + radius * Math.cos(theta + alpha), y: center.y + radius * Math.sin(theta + alpha) };
+    const b = { x: center.x + radius * Math.cos(theta - alpha), y: center.y + radius * Math.sin(theta - alpha) };
+    const side = (p, q) => (q.x - p.x) * (y - p.y) - (q.y - p.y) * (x - p.x);
+    const s1 = side(tip, a);
+    const s2 = side(a, b);
+    const s3 = side(b, tip);
+    const isInTriangle = (s1 >= 0 && s2 >= 0 && s3 >= 0) || (s1 <= 0 && s2 <= 0 && s3 <= 0);
+    return isInTriangle ? 'pin' : 'background';
+}
+
+/**
+ * 1辺 size 画素の RGBA 画素列を作る
+ */
+function drawIcon(size) {
+    const pixels = Buffer.alloc(size * size * 4);
+    const samples = SUPERSAMPLING * SUPERSAMPLING;
+
+    for (let py = 0; py < size; py++) {
+        for (let px = 0; px < size; px++) {
+            let pinCount = 0;
+            let filledCount = 0;
+            for (let sy = 0; sy < SUPERSAMPLING; sy++) {
+                for (let sx = 0; sx < SUPERSAMPLING; sx++) {
+                    const part = getIconPart((px + (sx + 0.5) / SUPERSAMPLING) / size, (py + (sy + 0.5) / SUPERSAMPLING) / size);
+                    if (part !== null) filledCount++;
+                    if (part === 'pin') pinCount++;
+                }
+            }
+
+            const offset = (py * size + px) * 4;
+            const pinRatio = filledCount > 0 ? pinCount / filledCount : 0;
+            for (let c = 0; c < 3; c++) {
+                pixels[offset + c] = Math.round(BACKGROUND_COLOR[c] * (1 - pinRatio) + PIN_COLOR[c] * pinRatio);
+            }
+            pixels[offset + 3] = Math.round(255 * filledCount / samples);
+        }
+    }
+    return pixels;
+}
+
+// --- PNG 出力 ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * RGBA 画素列を PNG（8bit RGBA、フィルタなし）にする
+ */
+function encodePng(size, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8;  // ビット深度
+    header[9] = 6;  // RGBA
+
+    const rows = [];
+    for (let y = 0; y < size; y++) {
+        rows.push(Buffer.from([0]), pixels.subarray(y * size * 4, (y + 1) * size * 4));
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        createChunk('IHDR', header),
+        createChunk('IDAT', zlib.deflateSync(Buffer.concat(rows), { level: 9 })),
+        createChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function main() {
+    ICON_SIZES.forEach(size => {
+        const file = path.join(OUTPUT_DIR, `amakusa-finder-${size}x${size}.png`);
+        fs.writeFileSync(file, encodePng(size, drawIcon(size)));
+        console.log(`${path.relative(process.cwd(), file)} を出力しました。`);
+    });
+}
+
+main();
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+// 日本郵便の郵便番号データ（KEN_ALL.CSV）から、天草市の郵便番号と町名の対応表（postal-codes.js）を生成する
+// 使い方: node tools/import-postal-codes.js [--dry-run] [--note 説明] KEN_ALL.CSV
+// KEN_ALL.CSV（Shift_JIS）・utf_ken_all.csv（UTF-8）のどちらでも読み込める
+// 町域名は旅費データの町名に合わせる。町名と一致しない町域は、「ヶ」の有無だけが異なる町名（例: 天草町大江軍浦 → 天草町大江軍ヶ浦）、
+// その町域で始まる町名（例: 五和町手野 → 五和町手野一丁目・二丁目）の順に対応させ、
+// それでも見つからない町域はそのまま登録して一覧を表示する（データチェックで警告になる）
+
+const fs = require('fs');
+const path = require('path');
+const core = require('../core.js');
+
+const OUTPUT_FILE = path.join(__dirname, '..', 'postal-codes.js');
+
+const USAGE = [
+    '使い方: node tools/import-postal-codes.js [--dry-run] [--note 説明] KEN_ALL.CSV',
+    '',
+    '  日本郵便の郵便番号データ（全国一括の KEN_ALL.CSV、または熊本県分）を指定します。',
+    '  --dry-run   postal-codes.js を書き換えず、結果の件数と対応できなかった町域のみを表示する',
+    '  --note      生成元の補足（データの公開日・入手元など）。POSTAL_CODES_SOURCE に記録する'
+].join('\n');
+
+// KEN_ALL.CSV の列（0 始まり）
+const KEN_ALL_COLUMNS = { postalCode: 2, prefecture: 6, city: 7, area: 8 };
+
+function parseArgs(argv) {
+    const options = { dryRun: false, note: null, file: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--note') {
+            options.note = argv[++i];
+            if (!options.note) throw new Error('--note には生成元の補足を指定してください。');
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`不明なオプションです: ${arg}`);
+        } else {
+            options.file = arg;
+        }
+    }
+    if (!options.help && !options.file) {
+        throw new Error('郵便番号データのファイルを指定してください。');
+    }
+    return options;
+}
+
+/**
+ * ファイルの内容を文字列にする。UTF-8として読めない場合は Shift_JIS とみなす
+ */
+function decodeFile(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (e) {
+        return new TextDecoder('shift_jis').decode(buffer);
+    }
+}
+
+/**
+ * 天草市の行から、郵便番号ごとの町域名を取り出す
+ * 町域名が長い場合は括弧の途中で複数行に分かれているため、括弧が閉じるまでつなげる。括弧内（小字・地番の注記）は除く
+ * @returns {Map<string, string[]>} 郵便番号 → 町域名
+ */
+function readAmakusaAreas(text) {
+    const areasByCode = new Map();
+    let pending = null;
+
+    text.split(/\r?\n/).forEach(line => {
+        if (!line.trim()) return;
+        const cells = line.split(',').map(cell => cell.replace(/^"|"$/g, ''));
+        if (cells[KEN_ALL_COLUMNS.prefecture] !== '熊本県' || cells[KEN_ALL_COLUMNS.city] !== '天草市') return;
+
+        const postalCode = cells[KEN_ALL_COLUMNS.postalCode];
+        let area = cells[KEN_ALL_COLUMNS.area];
+        if (pending && pending.postalCode === postalCode) {
+            area = pending.area + area;
+        }
+        if (area.includes('（') && !area.includes('）')) {
+            pending = { postalCode: postalCode, area: area };
+            return;
+        }
+        pending = null;
+
+        const areaName = area.replace(/（.*?）/g, '');
+        if (!areaName || areaName === '以下に掲載がない場合') return;
+
+        if (!areasByCode.has(postalCode)) areasByCode.set(postalCode, []);
+        areasByCode.get(postalCode).push(core.normalizeTownName(areaName));
+    });
+
+    return areasByCode;
+}
+
+/**
+ * 町域名を旅費データの町名に対応させる
+ * @returns {{towns: string[], isMatched: boolean}}
+ */
+function matchTowns(areaName, knownTownNames) {
+    if (knownTownNames.includes(areaName)) return { towns: [areaName], isMatched: true };
+
+    const alias = core.applyTownAliases(areaName);
+    if (alias.aliases.length > 0 && knownTownNames.includes(alias.town)) return { towns: [alias.town], isMatched: true };
+
+    const withoutKe = (town) => town.replace(/[ヶケヵ]/g, '');
+    const variant = knownTownNames.find(town => withoutKe(town) === withoutKe(areaName));
+    if (variant) return { towns: [variant], isMatched: true };
+
+    const prefixed = knownTownNames.filter(town => town.startsWith(areaName));
+    if (prefixed.length > 0) return { towns: prefixed, isMatched: true };
+
+    return { towns: [areaName], isMatched: false };
+}
+
+function buildPostalCodes(areasByCode) {
+    const knownTownNames = core.getKnownTowns().map(entry => entry.town);
+    const postalCodes = {};
+    const unmatched = [];
+
+    Array.from(areasByCode.keys()).sort().forEach(postalCode => {
+        const towns = new Set();
+        areasByCode.get(postalCode).forEach(areaName => {
+            const match = matchTowns(areaName, knownTownNames);
+            match.towns.forEach(town => towns.add(town));
+            if (!match.isMatched) unmatched.push(`${core.formatPostalCode(postalCode)} ${areaName}`);
+        });
+        postalCodes[postalCode] = Array.from(towns);
+    });
+
+    return { postalCodes, unmatched };
+}
+
+function formatPostalCodesFile(postalCodes, sourceFile, note) {
+    const source = Object.assign({ file: path.basename(sourceFile), generatedAt: core.toDateString() }, note ? { note: note } : {});
+    const lines = Object.keys(postalCodes).map(postalCode =>
+        `    "${postalCode}": ${JSON.stringify(postalCodes[postalCode])}`);
+
+    return [
+        '// --- 郵便番号データ（天草市） ---',
+        '// 天草市の郵便番号は 863-xxxx のほか、栖本・倉岳・有明（861-xxxx）と御所浦（866-xxxx）がある',
+        '// 郵便番号（7桁の数字）と、その区域に含まれる町名（TRAVEL_POINTS_DATA・地区の規則の町名）の対応表',
+        '// このファイルは tools/import-postal-codes.js で、日本郵便の郵便番号データ（KEN_ALL.CSV）から生成する。手で編集しないこと',
+        '',
+        '// 生成元のデータ',
+        `const POSTAL_CODES_SOURCE = ${JSON.stringify(source)};`,
+        '',
+        'const POSTAL_CODES = {',
+        lines.join(',\n'),
+        '};',
+        '',
+        '// Node から require(\'./postal-codes.js\') で読み込めるようにする（ブラウザでは <script> で読み込み、グローバルとして使用する）',
+        'if (typeof module !== \'undefined\' && module.exports) {',
+        '    module.exports = {',
+        '        POSTAL_CODES_SOURCE: POSTAL_CODES_SOURCE,',
+        '        POSTAL_CODES: POSTAL_CODES',
+        '    };',
+        '}',
+        ''
+    ].join('\n');
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        console.error(USAGE);
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const areasByCode = readAmakusaAreas(decodeFile(fs.readFileSync(options.file)));
+    if (areasByCode.size === 0) {
+        console.error(`${options.file} に天草市の郵便番号がありません。`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const { postalCodes, unmatched } = buildPostalCodes(areasByCode);
+    console.log(`天草市の郵便番号: ${Object.keys(postalCodes).length}件`);
+    if (unmatched.length > 0) {
+        console.log(`旅費データの町名に対応できなかった町域（${unmatched.length}件。そのまま登録します）:`);
+        unmatched.forEach(line => console.log(`  ${line}`));
+    }
+
+    if (!options.dryRun) {
+        fs.writeFileSync(OUTPUT_FILE, formatPostalCodesFile(postalCodes, options.file, options.note));
+        console.log(`${path.relative(process.cwd(), OUTPUT_FILE)} を書き換えました。`);
+    }
+}
+
+main();
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+// 旅費地点判定の JSON API サーバー（Node 標準モジュールのみで動作する）
+// 使い方: node tools/server.js [--port 8080] [--host 127.0.0.1]
+//
+// エンドポイント（すべて GET。date は判定基準日 YYYY-MM-DD、省略時は今日）
+//   /api/resolve?address=天草市牛深町1150-5[&date=]   住所から判定
+//   /api/resolve?town=牛深町&lot=1150-5[&date=]        町名・地番から判定
+//   /api/facilities[?q=検索語&category=分類番号]        施設一覧
+//   /api/facilities/resolve?name=施設名[&address=][&date=]  施設の旅費地点を判定
+//   /api/towns[?date=]                                 町名と地番範囲の一覧
+//   /api/towns?town=牛深町[&date=]                     1町名の地番範囲（地区の規則の対象町名は適用する規則）
+//
+// 成功時: { "ok": true, ... }
+// 失敗時: { "ok": false, "error": { "code": "MISSING_PARAMETER", "message": "..." } }
+
+const http = require('http');
+const core = require('../core.js');
+
+// エラーコードと HTTP ステータス
+const API_ERRORS = {
+    MISSING_PARAMETER: 400,
+    INVALID_PARAMETER: 400,
+    LOOKUP_FAILED: 422,
+    FACILITY_NOT_FOUND: 404,
+    FACILITY_AMBIGUOUS: 409,
+    TOWN_NOT_FOUND: 404,
+    NO_DATA_VERSION: 404,
+    NOT_FOUND: 404,
+    METHOD_NOT_ALLOWED: 405,
+    INTERNAL_ERROR: 500
+};
+
+// API のエラー応答にする例外（code は API_ERRORS のキー、details は error に加える項目）
+class ApiError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * 判定基準日のクエリを検証して返す。未指定なら undefined（今日）
+ */
+function getAsOfDate(params) {
+    const date = params.get('date');
+    if (!date) return undefined;
+    if (!core.isValidDateString(date)) {
+        throw new ApiError('INVALID_PARAMETER', 'date は YYYY-MM-DD 形式の実在する日付で指定してください。');
+    }
+    return date;
+}
+
+/**
+ * getTravelPoint の結果を API の応答にする。判定できなかった場合は LOOKUP_FAILED とする
+ */
+function toLookupResponse(result, extra) {
+    const body = {
+        status: result.status,
+        point: result.point,
+        candidates: result.candidates,
+        isAmbiguous: result.status === 'ambiguous',
+        normalizedTown: result.normalizedTown,
+        aliases: result.aliases || [],
+        lot: result.lot ? core.formatLotNumber(result.lot) : null,
+        matchedTown: result.matchedTown || null,
+        rangeStr: result.rangeStr || null,
+        asOfDate: result.asOfDate,
+        dataVersion: result.dataVersion,
+        nearBoundaries: result.nearBoundaries || [],
+        trace: result.trace
+    };
+
+    if (core.isResultError(result)) {
+        throw new ApiError('LOOKUP_FAILED', core.getResultMessage(result),
+            Object.assign({ status: result.status, details: result.details }, extra, { result: body }));
+    }
+    return Object.assign({ ok: true }, extra, { result: body });
+}
+
+function handleResolve(params) {
+    const asOfDate = getAsOfDate(params);
+    const address = params.get('address');
+
+    if (address) {
+        const result = core.resolveAddress(address, asOfDate);
+        return toLookupResponse(result, { input: { address: address }, parsedAddress: result.parsedAddress });
+    }
+
+    const town = params.get('town');
+    const lot = params.get('lot');
+    if (!town || !lot) {
+        throw new ApiError('MISSING_PARAMETER', 'address、または town と lot を指定してください。');
+    }
+    const addressParts = core.normalizeAddressParts(town, lot);
+    const result = core.getTravelPoint(addressParts.townName, core.parseLotNumber(addressParts.houseNumber), asOfDate);
+    return toLookupResponse(result, { input: { town: town, lot: lot } });
+}
+
+function toFacilityJson(facility) {
+    const type = core.getFacilityType(facility.name);
+    const category = core.FACILITY_CATEGORIES.find(c => c.types.includes(type));
+    return { name: facility.name, address: facility.address, category: category ? category.label : null };
+}
+
+function handleFacilities(params) {
+    let categoryIndex = null;
+    if (params.get('category') !== null) {
+        categoryIndex = Number(params.get('category'));
+        if (!Number.isInteger(categoryIndex) || !core.FACILITY_CATEGORIES[categoryIndex]) {
+            throw new ApiError('INVALID_PARAMETER', `category は 0〜${core.FACILITY_CATEGORIES.length - 1} で指定してください。`,
+                { categories: core.FACILITY_CATEGORIES.map((c, index) => ({ index: index, label: c.label })) });
+        }
+    }
+
+    const facilities = core.filterFacilities(params.get('q') || '', categoryIndex).map(toFacilityJson);
+    return { ok: true, count: facilities.length, facilities: facilities };
+}
+
+function handleFacilityResolve(params) {
+    const asOfDate = getAsOfDate(params);
+    const name = params.get('name');
+    const address = params.get('address');
+    if (!name) {
+        throw new ApiError('MISSING_PARAMETER', 'name を指定してください。');
+    }
+
+    const matches = core.getSortedFacilities().filter(f => f.name === name && (!address || f.address === address));
+    if (matches.length === 0) {
+        throw new ApiError('FACILITY_NOT_FOUND', `施設「${name}」が見つかりません。`);
+    }
+    if (matches.length > 1) {
+        throw new ApiError('FACILITY_AMBIGUOUS', `施設「${name}」は複数あります。address も指定してください。`,
+            { facilities: matches.map(toFacilityJson) });
+    }
+
+    return toLookupResponse(core.resolveFacility(matches[0], asOfDate), { facility: toFacilityJson(matches[0]) });
+}
+
+function handleTowns(params) {
+    const asOfDate = getAsOfDate(params);
+    const dataVersion = core.getDataVersion(asOfDate);
+    if (!dataVersion) {
+        throw new ApiError('NO_DATA_VERSION', `判定基準日（${core.toDateString(asOfDate)}）に施行されていた旅費データがありません。`);
+    }
+
+    const toTownJson = (entry) => ({
+        town: entry.town,
+        ranges: entry.ranges.map(range => ({
+            start: core.formatLotNumber(core.toLotNumber(range.start)),
+            end: core.formatLotNumber(core.toLotNumber(range.end)),
+            locations: core.getRangeLocations(range)
+        }))
+    });
+    const toRuleJson = (rule) => ({
+        name: rule.name,
+        towns: rule.towns,
+        excludes: rule.excludes || [],
+        locations: core.getRangeLocations(rule)
+    });
+    const versionInfo = { version: dataVersion.version, effectiveFrom: dataVersion.effectiveFrom };
+    const districtRules = core.getDistrictRules(dataVersion);
+
+    const town = params.get('town');
+    if (town) {
+        const entry = dataVersion.entries.find(e => e.town === town);
+        if (entry) {
+            return Object.assign({ ok: true, dataVersion: versionInfo }, toTownJson(entry));
+        }
+        const rule = districtRules.find(r => r.towns.includes(town));
+        if (rule) {
+            return { ok: true, dataVersion: versionInfo, town: town, districtRule: toRuleJson(rule) };
+        }
+        throw new ApiError('TOWN_NOT_FOUND', `町名「${town}」は旅費データにありません。`,
+            { suggestions: core.findSimilarTowns(town, core.getKnownTowns(dataVersion)) });
+    }
+
+    return {
+        ok: true,
+        dataVersion: versionInfo,
+        towns: dataVersion.entries.map(toTownJson),
+        districtRules: districtRules.map(toRuleJson)
+    };
+}
+
+const ROUTES = {
+    '/api/resolve': handleResolve,
+    '/api/facilities': handleFacilities,
+    '/api/facilities/resolve': handleFacilityResolve,
+    '/api/towns': handleTowns
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function handleRequest(req, res) {
+    try {
+        const url = new URL(req.url, 'http://localhost');
+        const handler = ROUTES[url.pathname.replace(/\/$/, '')];
+
+        if (!handler) {
+            throw new ApiError('NOT_FOUND', `${url.pathname} は存在しません。`, { endpoints: Object.keys(ROUTES) });
+        }
+        if (req.method !== 'GET') {
+            throw new ApiError('METHOD_NOT_ALLOWED', 'GET のみ使用できます。');
+        }
+
+        sendJson(res, 200, handler(url.searchParams));
+    } catch (e) {
+        const apiError = e instanceof ApiError ? e : new ApiError('INTERNAL_ERROR', 'サーバー内部でエラーが発生しました。');
+        if (!(e instanceof ApiError)) console.error(e);
+
+        sendJson(res, API_ERRORS[apiError.code], {
+            ok: false,
+            error: Object.assign({ code: apiError.code, message: apiError.message }, apiError.details)
+        });
+    }
+}
+
+function parseArgs(argv) {
+    const options = { port: Number(process.env.PORT) || 8080, host: process.env.HOST || '127.0.0.1' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        else if (argv[i] === '--host') options.host = argv[++i];
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    http.createServer(handleRequest).listen(options.port, options.host, () => {
+        console.log(`旅費地点 API: http://${options.host}:${options.port}/api/resolve?address=...`);
+    });
+}
+
+module.exports = { handleRequest: handleRequest };
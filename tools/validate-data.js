@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// データ整合性チェックを Node で実行する
+// 使い方: node tools/validate-data.js [--json]
+// エラーが1件以上あれば終了コード 1 で終了する
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+// ブラウザと同じ順序で読み込む（判定処理は DOM を使わない core.js を使用する）
+const SCRIPTS = ['data.js', 'postal-codes.js', 'core.js', 'validator.js'];
+
+const context = vm.createContext({ console: console });
+SCRIPTS.forEach(file => {
+    const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+});
+
+const report = vm.runInContext('validateAllData()', context);
+
+if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+} else {
+    console.log(vm.runInContext('formatValidationReport', context)(report));
+}
+
+process.exitCode = report.errorCount > 0 ? 1 : 0;
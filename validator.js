@@ -0,0 +1,305 @@
+// --- データ整合性チェック ---
+// TRAVEL_POINTS_DATA と FACILITY_DATA の不備を検出する
+// DOMに依存しないため、ブラウザの診断パネルと Node（tools/validate-data.js）の両方から使用する
+
+// 地番の最大値として扱う番兵値（範囲の終端がこれ未満なら上限側に未定義の地番が残る）
+const VALIDATOR_MAX_LOT = 99999;
+
+/**
+ * データ版の一覧をチェックする（施行日の形式・重複、版名の重複）
+ */
+function validateDataVersions(dataVersions = TRAVEL_POINTS_DATA) {
+    const issues = [];
+    const seenDates = new Set();
+    const seenNames = new Set();
+
+    dataVersions.forEach(dataVersion => {
+        if (!isValidDateString(dataVersion.effectiveFrom)) {
+            issues.push({ level: 'error', category: 'version', target: dataVersion.version, message: `施行日「${dataVersion.effectiveFrom}」が YYYY-MM-DD 形式の実在する日付ではありません。` });
+        } else if (seenDates.has(dataVersion.effectiveFrom)) {
+            issues.push({ level: 'error', category: 'version', target: dataVersion.version, message: `施行日 ${dataVersion.effectiveFrom} の版が複数あります。` });
+        }
+        if (seenNames.has(dataVersion.version)) {
+            issues.push({ level: 'error', category: 'version', target: dataVersion.version, message: '版名が重複しています。' });
+        }
+        seenDates.add(dataVersion.effectiveFrom);
+        seenNames.add(dataVersion.version);
+    });
+
+    return issues;
+}
+
+/**
+ * 旅費地点データ（1つの版の entries）の範囲定義をチェックする
+ * 重複した町名、開始 ≥ 終了、範囲の重なり・すき間、旧表記の「OR」、地点名の表記ゆれを検出する
+ * @returns {Array<{level: string, category: string, target: string, message: string}>}
+ */
+function validateTravelPointsData(travelPointsData = getTravelPointEntries()) {
+    const issues = [];
+    const addIssue = (level, category, target, message) => issues.push({ level, category, target, message });
+
+    // 町名の重複
+    const townCounts = {};
+    travelPointsData.forEach(entry => {
+        townCounts[entry.town] = (townCounts[entry.town] || 0) + 1;
+    });
+    Object.keys(townCounts).filter(town => townCounts[town] > 1).forEach(town => {
+        addIssue('error', 'duplicate-town', town, `町名が ${townCounts[town]} 件重複しています。先に定義された項目のみが使われます。`);
+    });
+
+    travelPointsData.forEach(entry => {
+        const ranges = [];
+
+        entry.ranges.forEach(range => {
+            const start = toLotNumber(range.start);
+            const end = toLotNumber(range.end);
+            const label = `${range.start} 〜 ${range.end}`;
+
+            if (!start || !end) {
+                addIssue('error', 'invalid-range', entry.town, `範囲 ${label} の境界値を地番として解釈できません。`);
+                return;
+            }
+            if (compareLotNumbers(start, end) >= 0) {
+                addIssue('error', 'invalid-range', entry.town, `範囲 ${label} は開始地番が終了地番以上です。`);
+                return;
+            }
+
+            // 地点の表記
+            if (Array.isArray(range.location)) {
+                if (range.location.length < 2) {
+                    addIssue('warning', 'or-notation', entry.town, `範囲 ${label} の地点が配列ですが候補が ${range.location.length} 件です。`);
+                }
+                if (new Set(range.location).size !== range.location.length) {
+                    addIssue('warning', 'or-notation', entry.town, `範囲 ${label} の地点候補に重複があります。`);
+                }
+            } else if (/\s*(or|OR|Or|／|\/|・)\s*/.test(range.location)) {
+                addIssue('warning', 'or-notation', entry.town, `範囲 ${label} の地点「${range.location}」は旧表記です。候補は配列で記述してください。`);
+            }
+
+            ranges.push({ start, end, label });
+        });
+
+        // 範囲の重なり・すき間（開始地番順に並べて隣同士を比較）
+        ranges.sort((a, b) => compareLotNumbers(a.start, b.start));
+
+        if (ranges.length > 0 && compareLotNumbers(ranges[0].start, { main: 1, branches: [] }) > 0) {
+            addIssue('warning', 'gap', entry.town, `地番 1 以上 ${formatLotNumber(ranges[0].start)} 未満が未定義です。`);
+        }
+        for (let i = 1; i < ranges.length; i++) {
+            const prev = ranges[i - 1];
+            const current = ranges[i];
+            const diff = compareLotNumbers(prev.end, current.start);
+            if (diff > 0) {
+                addIssue('error', 'overlap', entry.town, `範囲 ${prev.label} と ${current.label} が重なっています。`);
+            } else if (diff < 0) {
+                addIssue('error', 'gap', entry.town, `地番 ${formatLotNumber(prev.end)} 以上 ${formatLotNumber(current.start)} 未満が未定義です。`);
+            }
+        }
+        if (ranges.length > 0 && compareLotNumbers(ranges[ranges.length - 1].end, { main: VALIDATOR_MAX_LOT, branches: [] }) < 0) {
+            addIssue('warning', 'gap', entry.town, `地番 ${formatLotNumber(ranges[ranges.length - 1].end)} 以上が未定義です。`);
+        }
+    });
+
+    // 地点名の表記ゆれ（空白・「の/ノ/之」・「ヶ/ケ/が」の違いだけの地点名）
+    const spellingKey = (name) => name.replace(/[\s　]/g, '').replace(/[ノ之]/g, 'の').replace(/[ケヵが]/g, 'ヶ');
+    const namesByKey = {};
+    travelPointsData.forEach(entry => entry.ranges.forEach(range => {
+        getRangeLocations(range).forEach(name => {
+            const key = spellingKey(name);
+            namesByKey[key] = namesByKey[key] || new Set();
+            namesByKey[key].add(name);
+        });
+    }));
+    Object.keys(namesByKey).filter(key => namesByKey[key].size > 1).forEach(key => {
+        addIssue('warning', 'location-spelling', Array.from(namesByKey[key]).join(' / '), '同じ地点と思われる地点名の表記が統一されていません。');
+    });
+
+    return issues;
+}
+
+/**
+ * 地区の規則（1つの版の districtRules）をチェックする
+ * 対象町名・地点の未設定、除外に該当する対象町名、町名データとの重複、複数の規則に含まれる町名を検出する
+ */
+function validateDistrictRules(dataVersion) {
+    const issues = [];
+    const addIssue = (level, target, message) => issues.push({ level, category: 'district-rule', target, message });
+    const entryTowns = new Set(dataVersion.entries.map(entry => entry.town));
+    const ruleNamesByTown = {};
+
+    getDistrictRules(dataVersion).forEach(rule => {
+        const target = `規則「${rule.name}」`;
+        if (!Array.isArray(rule.towns) || rule.towns.length === 0) {
+            addIssue('error', target, '対象町名（towns）がありません。');
+            return;
+        }
+        if (!rule.location || getRangeLocations(rule).length === 0) {
+            addIssue('error', target, '地点（location）がありません。');
+        }
+
+        rule.towns.forEach(town => {
+            const excludedBy = (rule.excludes || []).find(ex => town.includes(ex));
+            if (excludedBy) {
+                addIssue('error', target, `対象町名「${town}」は除外「${excludedBy}」に該当するため、規則が適用されません。`);
+            }
+            if (entryTowns.has(town)) {
+                addIssue('warning', target, `対象町名「${town}」は町名データにもあります。町名データの範囲が優先されます。`);
+            }
+            if (!CORE_DATA.TOWN_READINGS[town]) {
+                addIssue('warning', target, `対象町名「${town}」の読みが TOWN_READINGS にありません（候補表示・読みでの検索ができません）。`);
+            }
+            ruleNamesByTown[town] = (ruleNamesByTown[town] || []).concat(rule.name);
+        });
+    });
+
+    Object.keys(ruleNamesByTown).filter(town => ruleNamesByTown[town].length > 1).forEach(town => {
+        addIssue('warning', town, `複数の規則（${ruleNamesByTown[town].join('、')}）の対象町名です。先に定義された規則のみが使われます。`);
+    });
+
+    return issues;
+}
+
+/**
+ * 旧住所表記の読み替え表（TOWN_ALIASES）をチェックする
+ * 旧市町名の重複と、読み替え後の表記で始まる町名が今日時点の旅費データにない場合を検出する
+ */
+function validateTownAliases(townAliases = CORE_DATA.TOWN_ALIASES) {
+    const issues = [];
+    const knownTowns = getKnownTowns().map(entry => entry.town);
+    const seen = new Set();
+
+    townAliases.prefixes.forEach(alias => {
+        const target = `読み替え「${alias.from}」`;
+        if (seen.has(alias.from)) {
+            issues.push({ level: 'error', category: 'alias', target: target, message: '同じ旧市町名の読み替えが複数あります。' });
+        }
+        seen.add(alias.from);
+        if (alias.to && !knownTowns.some(town => town.startsWith(alias.to))) {
+            issues.push({ level: 'error', category: 'alias', target: target, message: `読み替え後の表記「${alias.to}」で始まる町名が旅費データにありません。` });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * 郵便番号データ（POSTAL_CODES）をチェックする
+ * 郵便番号の形式と、今日時点の旅費データ（地区の規則を含む）にない町名を検出する
+ */
+function validatePostalCodes(postalCodes = CORE_DATA.POSTAL_CODES) {
+    const issues = [];
+    const knownTowns = new Set(getKnownTowns().map(entry => entry.town));
+
+    Object.keys(postalCodes).forEach(postalCode => {
+        const target = /^\d{7}$/.test(postalCode) ? `〒${formatPostalCode(postalCode)}` : `郵便番号「${postalCode}」`;
+        if (!/^\d{7}$/.test(postalCode)) {
+            issues.push({ level: 'error', category: 'postal-code', target: target, message: '郵便番号が7桁の数字ではありません。' });
+        }
+        postalCodes[postalCode].filter(town => !knownTowns.has(town)).forEach(town => {
+            issues.push({ level: 'error', category: 'postal-code', target: target, message: `町名「${town}」が旅費データ（地区の規則を含む）にありません。この町名の住所は判定できません。` });
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * 施設データの住所をすべて判定し、地点を特定できない施設を検出する
+ * 同名で住所の異なる施設も併せて報告する
+ */
+function validateFacilityData(facilityData = FACILITY_DATA) {
+    const issues = [];
+    const addressesByName = {};
+
+    facilityData.forEach(facility => {
+        addressesByName[facility.name] = addressesByName[facility.name] || new Set();
+        addressesByName[facility.name].add(facility.address);
+
+        const result = resolveFacility(facility);
+        if (isResultError(result)) {
+            issues.push({
+                level: 'error',
+                category: 'facility',
+                target: facility.name,
+                message: `${facility.address}: ${getResultMessage(result)}`
+            });
+        }
+    });
+
+    Object.keys(addressesByName).filter(name => addressesByName[name].size > 1).forEach(name => {
+        issues.push({
+            level: 'warning',
+            category: 'facility',
+            target: name,
+            message: `同じ施設名に異なる住所が登録されています: ${Array.from(addressesByName[name]).join(' / ')}`
+        });
+    });
+
+    return issues;
+}
+
+// 住所の解析（parseAddress・parseLotNumber）の確認用の入力例。lot は formatLotNumber の形式（地番なしは null）
+const ADDRESS_PARSER_CASES = [
+    { input: '熊本県天草市五和町手野一丁目３６７番地１', town: '五和町手野一丁目', lot: '367-1' },
+    { input: '〒863-0001 牛深町１１５０ー５', town: '牛深町', lot: '1150-5' },
+    { input: '久玉町千五百番地', town: '久玉町', lot: '1500' },
+    { input: '有明町大字赤崎字塩屋三百番地', town: '有明町赤崎', lot: '300' },
+    // 区切りの重ね書き
+    { input: '倉岳町浦１０００番地の１', town: '倉岳町浦', lot: '1000-1' },
+    { input: '倉岳町浦1000番ノ1', town: '倉岳町浦', lot: '1000-1' },
+    // 漢数字を含む小字名は地番に含めない
+    { input: '本渡町本渡字十二1', town: '本渡町本渡', lot: '1' },
+    { input: '有明町大字赤崎字十二', town: '有明町赤崎', lot: null }
+];
+
+/**
+ * 住所の解析結果が入力例（ADDRESS_PARSER_CASES）のとおりかをチェックする
+ */
+function validateAddressParser(cases = ADDRESS_PARSER_CASES) {
+    const issues = [];
+
+    cases.forEach(testCase => {
+        const parts = parseAddress(testCase.input);
+        const lotNumber = parseLotNumber(parts.houseNumber);
+        const lot = lotNumber ? formatLotNumber(lotNumber) : null;
+        if (parts.townName !== testCase.town || lot !== testCase.lot) {
+            issues.push({
+                level: 'error',
+                category: 'parser',
+                target: `住所「${testCase.input}」`,
+                message: `町名「${parts.townName}」・地番「${lot || 'なし'}」と解析されました（期待値: 町名「${testCase.town}」・地番「${testCase.lot || 'なし'}」）。`
+            });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * すべてのチェックを実行する。旅費地点データは版ごとにチェックし、対象に版名を付ける
+ * 施設データは今日時点の版で判定する
+ * @returns {{issues: Array, errorCount: number, warningCount: number}}
+ */
+function validateAllData() {
+    const versionIssues = TRAVEL_POINTS_DATA.map(dataVersion =>
+        validateTravelPointsData(dataVersion.entries).concat(validateDistrictRules(dataVersion)).map(issue =>
+            Object.assign({}, issue, { target: `[${dataVersion.version}] ${issue.target}` }))
+    );
+    const issues = validateDataVersions().concat(...versionIssues, validateTownAliases(), validatePostalCodes(), validateFacilityData(), validateAddressParser());
+    return {
+        issues: issues,
+        errorCount: issues.filter(issue => issue.level === 'error').length,
+        warningCount: issues.filter(issue => issue.level === 'warning').length
+    };
+}
+
+/**
+ * チェック結果をテキストにする（Node の出力・診断パネルの両方で使用）
+ */
+function formatValidationReport(report) {
+    const lines = [`データチェック結果: エラー ${report.errorCount}件 / 警告 ${report.warningCount}件`];
+    report.issues.forEach(issue => {
+        lines.push(`[${issue.level === 'error' ? 'エラー' : '警告'}] (${issue.category}) ${issue.target}: ${issue.message}`);
+    });
+    return lines.join('\n');
+}